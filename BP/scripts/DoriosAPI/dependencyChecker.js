@@ -22,10 +22,10 @@ world.afterEvents.worldLoad.subscribe(() => {
 
         for (const [identifier, data] of Object.entries(addonData.dependencies)) {
             if (!dependenciesRegistry.has(identifier)) {
-                missingDependenciesLines.push(`- §e${data.name ?? identifier}§r`);
-                missingDependenciesLines.push(` - §eRequires: ${data.version}§r`);
-                missingDependenciesLines.push(` - §cFound: None§r`);
-                if (data.warning) missingDependenciesLines.push(` - §7${data.warning}§r`);
+                missingDependenciesLines.push(message("dorios.dependency.name", data.name ?? identifier));
+                missingDependenciesLines.push(indent(message("dorios.dependency.requires", data.version)));
+                missingDependenciesLines.push(indent(message("dorios.dependency.found_none")));
+                if (data.warning) missingDependenciesLines.push(indent(message("dorios.dependency.note", data.warning)));
                 missingDependencies = true;
                 continue;
             }
@@ -34,42 +34,64 @@ world.afterEvents.worldLoad.subscribe(() => {
             if (data.version) {
                 const versionState = compareDependencyVersion(data.version, dependencyData.version);
                 if (versionState === "outdated") {
-                    outdatedDependenciesLines.push(`- §e${dependencyData.name ?? identifier}§r`);
-                    outdatedDependenciesLines.push(` - §eRequires: ${data.version}§r`);
-                    outdatedDependenciesLines.push(` - §cFound: ${dependencyData.version} (Outdated)§r`);
-                    if (data.warning) outdatedDependenciesLines.push(` - §7${data.warning}§r`);
+                    outdatedDependenciesLines.push(message("dorios.dependency.name", dependencyData.name ?? identifier));
+                    outdatedDependenciesLines.push(indent(message("dorios.dependency.requires", data.version)));
+                    outdatedDependenciesLines.push(indent(message("dorios.dependency.found_outdated", dependencyData.version)));
+                    if (data.warning) outdatedDependenciesLines.push(indent(message("dorios.dependency.note", data.warning)));
                     missingDependencies = true;
                     continue;
                 }
             }
         }
 
-        let warningText = ['§e[ Warning! ]'];
+        let warningText = [message("dorios.dependency.warning")];
 
         if (missingDependenciesLines.length > 0) {
-            warningText.push(`§7${addonData.name} is missing dependencies!§r`);
-            warningText.push(`§cMissing:§r`);
+            warningText.push(message("dorios.dependency.missing_header", addonData.name));
+            warningText.push(message("dorios.dependency.missing"));
             warningText = [...warningText, ...missingDependenciesLines];
         }
 
         if (outdatedDependenciesLines.length > 0) {
             if (missingDependenciesLines.length > 0) {
-                warningText.push(`§eOutdated dependencies:§r`);
+                warningText.push(message("dorios.dependency.outdated_dependencies"));
             } else {
-                warningText.push(`§eOutdated:§r`);
+                warningText.push(message("dorios.dependency.outdated"));
             }
             warningText = [...warningText, ...outdatedDependenciesLines];
         }
 
         if (missingDependencies || outdatedDependenciesLines.length > 0) {
-            const warning = warningText.join(`\n`);
-            world.sendMessage(`${warning}`);
+            world.sendMessage({ rawtext: warningText.flatMap((line, i) => i > 0 ? [{ text: "\n" }, line] : [line]) });
         } else {
-            world.sendMessage(`§a${addonData.name} initialized correctly!§r`);
+            world.sendMessage(message("dorios.dependency.initialized", addonData.name));
         }
     }, 300);
 });
 
+/**
+ * Builds a translated line of the dependency warning. Kept here instead of
+ * using lang.js, so the checker has no dependencies outside DoriosAPI.
+ *
+ * @param {string} key Translation key.
+ * @param {...(string|number)} params Values for the key's `%s`.
+ * @returns {RawMessage}
+ */
+function message(key, ...params) {
+    if (params.length === 0) return { translate: key };
+    return { translate: key, with: { rawtext: params.map(param => ({ text: String(param) })) } };
+}
+
+/**
+ * Indents a line of the dependency warning.
+ *
+ * @param {RawMessage} line
+ * @returns {RawMessage}
+ */
+function indent(line) {
+    return { rawtext: [{ text: " " }, line] };
+}
+
 export const dependenciesRegistry = new Map()
 
 system.afterEvents.scriptEventReceive.subscribe(({ id, message: raw }) => {
@@ -42,24 +42,47 @@ trinket: "ring"
 Available Statistics
 -----------------------------------------------------
 These are the base statistics supported by Dorios RPG Core.
-They are NOT configurable by addons.
+Their defaults and limits are NOT configurable by addons.
 Addons only provide modifiers (positive or negative values).
+New statistics can be added with `dorios:register_stat_definition`
+(see "Custom Statistics" below).
 
 Internal clamping and validation is handled by the core.
 Only Health, Knockback Resistance, and Damage Reduction
 have enforced limits internally.
 
-- health: "Maximum health value",
+Health keeps its minimum of 2 and steps of 2, but is no longer
+capped at 100. It's applied with the health boost effect (4 per
+level), so values between steps or below 20 show the hearts of
+the next boost level and the current health is kept at the stat value.
+Health boost from potions or other addons is left untouched.
+
+Some statistics have soft caps: gains above a threshold
+are reduced, so stacking trinkets pays off less and less.
+The stats menu shows the raw value next to the effective one.
+- lifeSteal:   above 20, approaches 50
+- critChance:  above 50, approaches 100
+
+Packs can add, replace or remove (`null`) the soft cap of a base
+statistic by sending only `softCap` to `dorios:register_stat_definition`
+(same format as "Custom Statistics"):
+/scriptevent dorios:register_stat_definition {
+    "attackMulti": { "softCap": { "curve": "linear", "at": 100, "rate": 0.5 } },
+    "speed": { "softCap": { "curve": "piecewise", "steps": [{ "at": 150, "rate": 0.5 }, { "at": 200, "rate": 0.25 }] } },
+    "critChance": { "softCap": null }
+}
+
+- health: "Maximum health value (2 or more, in steps of 2)",
 - mana: "Mana resource used for abilities",
 - attack: "Flat attack damage bonus",
 - attackMulti: "Percentage-based damage multiplier",
 - knockback: "Knockback applied to enemies on hit",
 - knockbackRes: "Resistance to incoming knockback",
-- damageReduction: "Percentage damage mitigation (negative increases damage taken)",
+- damageReduction: "Percentage damage mitigation (negative increases damage taken). Each full 20% is applied as resistance before the hit lands, the rest is healed back afterwards. Resistance from potions takes its place while active",
 - speed: "Ground movement speed",
 - waterSpeed: "Movement speed while in water",
 - lavaSpeed: "Movement speed while in lava",
-- healthRegen: "Passive health regeneration",
+- healthRegen: "Health restored per second, fractions allowed (25% within 5 seconds of taking damage, see `regenConfig`)",
 - lifeSteal: "Health restored based on damage dealt",
 - manaRegen: "Passive mana regeneration",
 - manaSteal: "Mana restored based on damage dealt",
@@ -69,6 +92,222 @@ have enforced limits internally.
 - fireAspect: "Applies fire damage on hit",
 - extraJumps: "Grants additional mid-air jumps"
 
+-----------------------------------------------------
+Stat Modifiers
+-----------------------------------------------------
+Each stat value can be a plain number or an object
+with up to three modifier layers:
+
+- flat:    Added to the base value.
+           A plain number is the same as { flat: number }.
+- percent: Additive percent. All percent modifiers
+           are summed before being applied.
+- multi:   Multiplicative percent. Each one multiplies
+           the result on its own.
+
+Order of application:
+1. base + sum(flat)
+2. × (1 + sum(percent) / 100)
+3. × (1 + multi / 100) for every multi modifier
+4. min/max clamping
+5. scale rounding
+
+Example:
+stats: {
+    attack: 2,                          // +2 attack
+    health: { percent: 10 },            // +10% of (base + flat)
+    speed: { flat: 5, multi: 20 }       // +5, then ×1.2
+}
+
+-----------------------------------------------------
+Custom Statistics
+-----------------------------------------------------
+Addons can declare new statistics. Once registered they are
+calculated, clamped, displayed and dispatched exactly like
+the base ones, and items can use them in `stats`.
+
+Fields (all optional):
+- default, min, max, scale: Same meaning as base statistics.
+- softCap: Diminishing returns, applied before min/max:
+  { curve: "linear", at: 50, rate: 0.5 }        Gains above 50 count half
+  { curve: "asymptotic", at: 50, limit: 100 }   Approaches 100, never reaches it
+  { curve: "piecewise", steps: [{ at: 50, rate: 0.5 }, { at: 80, rate: 0.2 }] }
+- label:  Display name. Generated from the id when missing.
+- format: Display template, "{value}" is replaced. Can also be
+          { translate: "key" }, the value fills its "%s".
+- onHit:  Runs on the entity hit by a holder of the stat.
+- onTick: Runs on the holder every `interval` ticks (default 20).
+
+Handlers only run while the stat value is above 0.
+Every handler accepts `chance` (percent, default 100) and a `type`:
+- "effect":       { effect, duration?, amplifier? }
+                  Amplifier defaults to the stat value - 1.
+- "script_event": { id } Sends { stat, trigger, value, entity,
+                  attacker, damage } so your addon can react.
+- "command":      { command } Runs on the entity, "{value}" is replaced.
+
+Base statistics can't be redefined, only their softCap changed.
+Confirmation is sent through `dorios:stat_definition_registered`.
+
+-----------------------------------------------------
+Entity Stats
+-----------------------------------------------------
+Registrations keyed by an entity type (e.g. "minecraft:zombie")
+apply to every entity of that type. Tag registrations apply to
+any entity with the tag, so `/tag @e[...] add <tag>` creates
+tougher variants without behavior file overrides.
+
+Registered entities deal and take damage through the same
+attack, crit, thorns, damage reduction and knockback resistance
+math as players, and respect immunities and actives.
+Their own hit keeps its vanilla damage: the core only adds
+their stats on top, without the default critical chance.
+Passives and movement or health stats only apply to players.
+
+After changing the tags of a mob, run
+`/scriptevent dorios:update_stats` as that mob.
+Player tags are checked every second on their own, or
+right away with `{ "target": "<name or id>" }` as message.
+
+-----------------------------------------------------
+Elite Mobs
+-----------------------------------------------------
+Mobs of the families in `eliteConfig` have a chance to spawn
+as elites with random affixes (Vampiric, Thorned, Swift,
+Armored, Brutal, Explosive). Affixes show in the name tag
+when `eliteConfig.nameTag` is on (named mobs never despawn), and
+add their stats and raise the chances and rolls of the
+mob's `drops`.
+
+Register more affixes with `dorios:register_elite_affix`:
+- name:       Name tag prefix (color codes allowed).
+- weight:     Relative chance to be rolled (default 1).
+- stats, actives, immunities: Same format as registrations.
+- effects:    { effect: level } kept while the mob lives.
+- onDeath:    { explosion: power, breaksBlocks?: boolean }
+- loot:       { chanceMultiplier?, extraRolls? }
+
+Confirmation is sent through `dorios:elite_affix_registered`.
+
+-----------------------------------------------------
+Mob Levels
+-----------------------------------------------------
+Hostile mobs get a level when they spawn, based on their
+distance from world spawn, how deep they are and their
+dimension (see `mobScaling` in config.js). Levels raise the
+mob's health, attack and damage reduction, and its drop
+chances. Set `mobScaling.nameTag` to show the level in the name
+tag; it's off by default because named mobs never despawn.
+
+Query the level of any entity by id:
+/scriptevent dorios:get_mob_level {"entity":"<entity id>"}
+The answer is sent through `dorios:mob_level`
+with { entity, typeId, level }.
+
+-----------------------------------------------------
+Equipment Slots
+-----------------------------------------------------
+Registered items count in their natural slot: armor in
+the slot of its `minecraft:wearable` component, anything
+else in the main hand. No tag is needed.
+
+`equipSlots` replaces the natural slot with a list:
+- "Head", "Chest", "Legs", "Feet", "Mainhand", "Offhand"
+
+Examples:
+equipSlots: ["Offhand"]              // Shields
+equipSlots: ["Mainhand", "Offhand"]  // Dual wielded weapons
+
+Trinkets only count while equipped in their trinket slot,
+unless they declare `equipSlots` too.
+An item is never counted twice (two slots, or slot and tag),
+but the affixes of every equipped copy add up.
+
+Stats update as soon as registered items move through the
+inventory or hotbar. Equipment slots and registered tags are
+checked every second, for armor breaking, dispensers and
+commands. To update right away, run
+`/scriptevent dorios:update_stats` as the player, or send it
+with `{ "target": "<name or id>" }` from another pack.
+
+-----------------------------------------------------
+Affixes & Rarity
+-----------------------------------------------------
+Items can roll random affixes, so every copy is unique.
+Only non-stackable items (max stack size 1) can roll.
+
+Items roll once, when they are injected in a chest, dropped
+by a mob, or first enter a player inventory (crafting,
+commands, pickups). Rolls are stored on the ItemStack,
+shown in its lore and read while the item is equipped.
+
+affixes.pool entries:
+- id:       Affix identifier.
+- stat:     Stat modified (base or custom).
+- type:     "flat" (default), "percent" or "multi".
+- min, max: Value range.
+- weight:   Relative chance to be picked (default 1).
+- decimals: Decimals kept on the value (default 0).
+
+Rarity decides how many affixes roll and multiplies
+their values. Default tiers:
+- common    (weight 60, 1 affix,  x1)
+- uncommon  (weight 25, 2 affixes, x1.1)
+- rare      (weight 10, 2 affixes, x1.25)
+- epic      (weight 4,  3 affixes, x1.5)
+- legendary (weight 1,  4 affixes, x2)
+
+`rarities` is optional. A number overrides a tier weight,
+an object defines a full tier { name, color, weight,
+rolls, multiplier }. Only listed tiers can roll.
+
+-----------------------------------------------------
+Equipment Sets
+-----------------------------------------------------
+Items join a set with the `set` field:
+set: "example:ember_set"
+
+The set itself is registered in the same payload, using
+the set id as key and a `bonuses` object. Each key of
+`bonuses` is the amount of pieces required. Tiers are
+cumulative and accept stats, passives, actives,
+immunities and an optional `description` for the menu.
+
+The stats menu shows every set with at least one piece
+equipped and its progress, e.g. "Ember Set: (2/4)".
+
+-----------------------------------------------------
+Conditions
+-----------------------------------------------------
+Conditions are plain JSON, so they survive registration.
+Every key inside one condition must pass.
+
+- dimension: "minecraft:nether" or a list
+- biome:     "minecraft:desert" or a list
+- time:      "day", "night" or { min, max } (0-23999)
+- weather:   "Clear", "Rain", "Thunder" or a list
+             ("Clear" until the weather first changes after loading)
+- y:         { min, max }
+- health:    { min, max } percent of max health
+- sneaking:  true / false
+- inWater:   true / false
+- hasTag:    "tag" or a list (all required)
+- any:       [conditions] at least one passes
+- all:       [conditions] every one passes
+- not:       condition that must fail
+
+Where they can be used:
+- condition:       Required to equip the trinket. Trinkets
+                   that stop passing it are unequipped.
+- activeCondition: The whole entry (stats, effects,
+                   immunities, set piece) only counts
+                   while it passes.
+- Per stat:        Any stat modifier object accepts
+                   `condition`, e.g.
+                   speed: { percent: 30, condition: { time: "night" } }
+
+Conditional stats are re-evaluated every second.
+
 -----------------------------------------------------
 Immunities
 -----------------------------------------------------
@@ -85,6 +324,70 @@ immunities: ["Poison", "Wither"]
 Incorrect:
 immunities: ["poison", "wither"]
 
+-----------------------------------------------------
+Effect Conflicts
+-----------------------------------------------------
+Passives and actives that oppose each other are resolved
+before being applied. By default poison/regeneration,
+weakness/strength, mining_fatigue/haste and slowness/speed
+cancel out: the stronger one loses the other's levels.
+
+Register more groups, or replace a default one by id,
+with `dorios:register_effect_conflict`:
+- effects:    Two or more effect ids.
+- resolution: "cancel", "strongest" (only the highest level
+              stays) or "allow" (both stay).
+- categories: ["passives"], ["actives"] or both (default).
+
+Confirmation is sent through `dorios:effect_conflict_registered`.
+
+-----------------------------------------------------
+Loadouts
+-----------------------------------------------------
+Players save their equipped trinkets under a name from the
+"Loadouts" button of the stats menu (up to `maxLoadouts` in
+`loadoutConfig`) and swap between them in one step.
+
+Swapping checks every trinket like equipping it by hand
+(condition and class). Trinkets come from the loadout storage
+or the inventory, and the ones taken off go to the loadout
+storage with their affixes, withdrawable from the same menu.
+
+-----------------------------------------------------
+Translations
+-----------------------------------------------------
+Every menu and message of the core uses translation keys
+(RP/texts/*.lang), shipped in English, Spanish and Portuguese.
+
+Display names of items, sets, classes, elite affixes and
+custom statistics (`name`, `label`, `description`) accept
+plain text or a translation from your own resource pack:
+
+name: { translate: "myaddon.set.ember" }
+
+myaddon/RP/texts/es_ES.lang:
+myaddon.set.ember=Conjunto de brasas
+
+Name tags and item lore only support plain text.
+
+-----------------------------------------------------
+Commands
+-----------------------------------------------------
+Operators can manage stats in game:
+
+/dorios:stats <player>                      Show a player's stats
+/dorios:equiptrinket <player> <trinket>     Equip, replacing the slot's trinket
+/dorios:unequiptrinket <player> <trinket> [returnItem]
+/dorios:addbuff <player> <source> <stat> <value> <duration> [refresh|stack|strongest] [maxStacks]
+/dorios:removebuff <player> <source>
+/dorios:listitems                           List registered items and sets
+/dorios:resetchests [location]              Re-enable loot in one 256x256 region
+/dorios:reload                              Ask addons to register again
+
+`stats` and `listitems` need game director permission,
+the rest need admin. Forced trinkets ignore conditions
+and class restrictions until the trinket menu is opened.
+
 -----------------------------------------------------
 Registration Data
 -----------------------------------------------------
@@ -96,6 +399,7 @@ if the item occupies a trinket slot.
 const register = {
     // Full-feature reference example
     "dorios:example_master_trinket": {
+        name: { translate: "example.item.master_trinket" }, // Shown in the stat breakdown
         trinket: "ring",
         stats: {
             health: 10,
@@ -108,7 +412,8 @@ const register = {
             fireAspect: 3,
             lifeSteal: 5,
             manaRegen: 3,
-            extraJumps: 1
+            extraJumps: 1,
+            spellPower: 15 // Custom statistic
         },
         passives: {
             regeneration: 1,
@@ -150,11 +455,129 @@ const register = {
         }
     },
 
+    // Only counts while held in the offhand
+    "dorios:tower_shield": {
+        equipSlots: ["Offhand"],
+        stats: {
+            damageReduction: 10,
+            knockbackRes: 20
+        }
+    },
+
+    // Percent-based modifiers
+    "dorios:example_percent_ring": {
+        trinket: "ring",
+        stats: {
+            attack: { percent: 10 },
+            critMulti: { multi: 15 }
+        }
+    },
+
+    // Conditional trinket: only equippable in the Overworld or Nether,
+    // faster at night and stronger while below 30% health
+    "dorios:example_night_charm": {
+        trinket: "charm",
+        condition: { dimension: ["minecraft:overworld", "minecraft:nether"] },
+        stats: {
+            speed: { percent: 30, condition: { time: "night" } },
+            attack: { flat: 4, condition: { health: { max: 30 } } }
+        }
+    },
+
+    // Only active while sneaking in water or during thunderstorms
+    "dorios:example_storm_talisman": {
+        trinket: "talisman",
+        activeCondition: {
+            any: [
+                { all: [{ sneaking: true }, { inWater: true }] },
+                { weather: "Thunder" }
+            ]
+        },
+        passives: { conduit_power: 1 }
+    },
+
+    // Random affixes with custom rarity weights
+    "dorios:example_rolled_ring": {
+        trinket: "ring",
+        stats: { attack: 1 },
+        affixes: {
+            pool: [
+                { id: "sharp", stat: "attack", min: 1, max: 4, weight: 10 },
+                { id: "deadly", stat: "critChance", min: 2, max: 6, weight: 5 },
+                { id: "swift", stat: "speed", type: "percent", min: 5, max: 15, weight: 5 },
+                { id: "brutal", stat: "critMulti", type: "multi", min: 5, max: 10, weight: 2 }
+            ]
+        },
+        rarities: {
+            common: 50,
+            rare: 40,
+            legendary: 10
+        }
+    },
+
+    // Equipment set pieces and their set definition
+    "dorios:ember_ring": {
+        trinket: "ring",
+        set: "dorios:ember_set",
+        stats: { fireAspect: 2 }
+    },
+    "dorios:ember_amulet": {
+        trinket: "amulet",
+        set: "dorios:ember_set",
+        stats: { attack: 1 }
+    },
+    "dorios:ember_set": {
+        name: "Ember Set",
+        bonuses: {
+            2: {
+                description: "+4 Health",
+                stats: { health: 4 }
+            },
+            4: {
+                description: "Regeneration I, Fire immunity",
+                passives: { regeneration: 1 },
+                immunities: ["Fire"]
+            }
+        }
+    },
+
     // Tag-based registration
     "dorios:example_tag_effect": {
         passives: {
             resistance: 1
         }
+    },
+
+    // Entity type registration: every zombie hits harder and takes less damage
+    "minecraft:zombie": {
+        stats: { attack: 3, damageReduction: 20 }
+    },
+
+    // Tag registration for mobs: "/tag @e[type=skeleton] add example:dungeon_elite"
+    "example:dungeon_elite": {
+        stats: { attack: 5, critChance: 15, thorns: 10, knockbackRes: 50 },
+        immunities: ["slowness"]
+    }
+};
+
+// -----------------------------------------------------
+// Custom Statistics
+// -----------------------------------------------------
+
+const statDefinitions = {
+    spellPower: {
+        default: 0,
+        min: 0,
+        max: 500,
+        softCap: { curve: "linear", at: 200, rate: 0.5 },
+        // Translated through example.stat.spell_power=§7- Spell Power: §f%s
+        format: { translate: "example.stat.spell_power" },
+        onHit: { type: "script_event", id: "example:spell_power_hit" }
+    },
+    luck: {
+        default: 0,
+        label: "Luck",
+        onTick: { type: "effect", effect: "luck", duration: 40, interval: 20 }
     }
 };
 
@@ -164,32 +587,308 @@ const register = {
 
 let rpgCoreDetected = false;
 
-world.afterEvents.worldLoad.subscribe(() => {
+/**
+ * Sends every registration to Dorios RPG Core.
+ * Runs on world load and again when an admin uses /dorios:reload.
+ */
+function sendRegistrations() {
+    // Custom statistics go first so items can reference them
+    system.sendScriptEvent(
+        "dorios:register_stat_definition",
+        JSON.stringify(statDefinitions)
+    );
+
+    // Elite mob affixes
+    system.sendScriptEvent(
+        "dorios:register_elite_affix",
+        JSON.stringify({
+            frostbound: {
+                name: "§bFrostbound",
+                actives: { slowness: 2 },
+                immunities: ["slowness"],
+                loot: { chanceMultiplier: 1.5 }
+            }
+        })
+    );
+
+    // Effect conflicts (see "Effect Conflicts" above)
+    system.sendScriptEvent(
+        "dorios:register_effect_conflict",
+        JSON.stringify({
+            // Slowing enemies shouldn't cancel their speed, only your own
+            slowness_speed: { effects: ["slowness", "speed"], resolution: "cancel", categories: ["passives"] },
+            elemental_auras: { effects: ["fire_resistance", "water_breathing", "night_vision"], resolution: "strongest" }
+        })
+    );
+
+    // Classes (see "Classes" below)
+    system.sendScriptEvent(
+        "dorios:register_class",
+        JSON.stringify(classDefinitions)
+    );
 
     // Send registration payload to Dorios RPG Core
     system.sendScriptEvent(
         "dorios:register_stat_data",
         JSON.stringify(register)
     );
+}
+
+world.afterEvents.worldLoad.subscribe(() => {
+    sendRegistrations();
 
     // Delayed verification in case the core is missing
     system.runTimeout(() => {
         if (!rpgCoreDetected) {
-            world.sendMessage(
-                "§c[Addon Name] Required dependency missing: Dorios RPG Core."
-            );
+            // Use your own pack's keys, the core's aren't loaded without it
+            world.sendMessage({ translate: "example.dependency_missing" });
 
             system.runTimeout(() => {
                 if (!rpgCoreDetected) {
-                    world.sendMessage(
-                        "§c[Addon Name] Required dependency missing: Dorios RPG Core."
-                    );
+                    world.sendMessage({ translate: "example.dependency_missing" });
                 }
             }, 3600);
         }
     }, 300);
 });
 
+// -----------------------------------------------------
+// Timed Buffs & Debuffs
+// -----------------------------------------------------
+// Buffs are temporary stat sources added on top of trinkets.
+// Fields:
+// - source:   Unique id of what applied it (required).
+// - duration: Duration in ticks (required, 20 ticks = 1 second).
+// - stack:    "refresh" (default), "stack" or "strongest".
+// - maxStacks: Optional limit for the "stack" rule.
+//   "strongest" keeps the buff with the highest sum of modifiers
+//   (negative ones subtract). For debuffs, the most negative sum wins.
+// - target:   Player id or name. Defaults to the /scriptevent source.
+// - stats, passives, actives, immunities: Same format as registrations.
+//
+// Removing a buff only needs its `source` (and `target`).
+
+function giveRageBuff(player) {
+    system.sendScriptEvent(
+        "dorios:add_buff",
+        JSON.stringify({
+            target: player.id,
+            source: "example:rage_potion",
+            duration: 600, // 30 seconds
+            stack: "refresh",
+            stats: { attack: 20 }
+        })
+    );
+}
+
+function clearRageBuff(player) {
+    system.sendScriptEvent(
+        "dorios:remove_buff",
+        JSON.stringify({ target: player.id, source: "example:rage_potion" })
+    );
+}
+
+// -----------------------------------------------------
+// Classes
+// -----------------------------------------------------
+// Classes give players distinct builds. Players choose
+// one from the "Class" button of the stats menu.
+// Fields (all optional):
+// - name, description, icon: Shown in the selection form.
+// - baseStats:       Replaces `statsConfig` defaults (e.g. health: 30).
+// - stats:           Stat modifiers, same format as registrations.
+// - growthPerLevel:  Stats gained on every level above 1.
+// - passives, actives, immunities: Same format as registrations.
+// - allowedSlots:    Trinket slots the class can use. All when missing.
+// - restrictedItems: Item ids the class can't equip. Their stats are
+//                    ignored and restricted trinkets are unequipped.
+//
+// Addons can also assign a class directly with `dorios:set_class`
+// ({ target, class }), and every change sends `dorios:class_selected`
+// with { playerId, playerName, class, previousClass }.
+
+const classDefinitions = {
+    warrior: {
+        name: "Warrior",
+        description: "Sturdy melee fighter",
+        baseStats: { health: 30, mana: 50 },
+        growthPerLevel: { health: 0.5, attack: 0.25 },
+        stats: { knockbackRes: 10 }
+    },
+    mage: {
+        name: "Mage",
+        description: "Fragile master of mana",
+        baseStats: { health: 16, mana: 200 },
+        growthPerLevel: { mana: 5 },
+        allowedSlots: ["head", "body", "necklace", "ring", "charm", "talisman", "amulet"], // No gauntlets
+        restrictedItems: ["dorios:tower_shield"]
+    },
+    ranger: {
+        name: "Ranger",
+        description: "Fast and precise",
+        baseStats: { speed: 110, critChance: 10 },
+        growthPerLevel: { critChance: 0.2 }
+    }
+};
+
+// -----------------------------------------------------
+// Leveling & Experience
+// -----------------------------------------------------
+// Players earn experience from kills and from opening
+// loot chests for the first time (see `levelConfig`).
+// Each level grants stat points, spent from the
+// "Stat Points" button of the stats menu.
+//
+// Addons can grant experience directly:
+// - amount: Experience to add (required).
+// - reason: Free text forwarded to `dorios:level_up`.
+// - target: Player id or name. Defaults to the /scriptevent source.
+//
+// Every level up sends `dorios:level_up` with
+// { playerId, playerName, level, previousLevel, points, reason }.
+
+function rewardQuest(player) {
+    system.sendScriptEvent(
+        "dorios:add_xp",
+        JSON.stringify({ target: player.id, amount: 150, reason: "example:quest" })
+    );
+}
+
+system.afterEvents.scriptEventReceive.subscribe(e => {
+    if (e.id !== "dorios:level_up") return;
+
+    const { playerName, level } = JSON.parse(e.message);
+    if (level % 10 === 0) {
+        world.sendMessage(`§e${playerName} reached level ${level}!`);
+    }
+});
+
+// -----------------------------------------------------
+// Reading Player Stats
+// -----------------------------------------------------
+// Ask the core for the computed stats of a player instead of
+// reading its dynamic properties (they belong to the core pack
+// and their format may change).
+//
+// Request `dorios:get_player_stats` with:
+// - requestId: Any value, sent back so you can match the answer.
+// - target:    Player id or name. Defaults to the /scriptevent source.
+//
+// The answer `dorios:player_stats` carries:
+// { requestId, found, playerId, playerName,
+//   stats, passives, actives, immunities, sets }
+
+const pendingStatRequests = new Map();
+
+function requestPlayerStats(player, callback) {
+    const requestId = `example:${player.id}:${system.currentTick}`;
+    pendingStatRequests.set(requestId, callback);
+
+    system.sendScriptEvent(
+        "dorios:get_player_stats",
+        JSON.stringify({ requestId, target: player.id })
+    );
+}
+
+system.afterEvents.scriptEventReceive.subscribe(e => {
+    if (e.id !== "dorios:player_stats") return;
+
+    const response = JSON.parse(e.message);
+    const callback = pendingStatRequests.get(response.requestId);
+    if (!callback) return; // Another addon's request
+
+    pendingStatRequests.delete(response.requestId);
+    if (response.found) callback(response);
+});
+
+// Usage:
+// requestPlayerStats(player, ({ stats }) => {
+//     player.sendMessage(`Your attack is ${stats.attack}`);
+// });
+
+// -----------------------------------------------------
+// Mana
+// -----------------------------------------------------
+// The core tracks the current mana of every player. Maximum
+// mana is the `mana` stat and `manaRegen` refills it per second.
+// Spells should charge mana through the core instead of keeping
+// their own scoreboard. `dorios:mana` mirrors the current value
+// for commands, but writing to it has no effect.
+//
+// Requests (all accept `requestId` and `target`, like above):
+// - `dorios:consume_mana` { amount }: Spends it only if there's enough.
+// - `dorios:restore_mana` { amount }: Refills up to the maximum.
+// - `dorios:get_mana`
+//
+// Every request is answered with `dorios:mana_result`:
+// { requestId, action, success, reason?, playerId, playerName,
+//   mana, maxMana, restored? }
+// `reason` is "not_found", "invalid_amount", "insufficient" or
+// "invalid_payload".
+
+const pendingSpells = new Map();
+
+function castSpell(player, cost, spell) {
+    const requestId = `example:spell:${player.id}:${system.currentTick}`;
+    pendingSpells.set(requestId, () => spell(player));
+
+    system.sendScriptEvent(
+        "dorios:consume_mana",
+        JSON.stringify({ requestId, target: player.id, amount: cost })
+    );
+}
+
+system.afterEvents.scriptEventReceive.subscribe(e => {
+    if (e.id !== "dorios:mana_result") return;
+
+    const response = JSON.parse(e.message);
+    const spell = pendingSpells.get(response.requestId);
+    if (!spell) return;
+
+    pendingSpells.delete(response.requestId);
+    if (response.success) spell();
+});
+
+// Usage:
+// castSpell(player, 25, p => p.addEffect("speed", 200));
+
+// -----------------------------------------------------
+// Change Notifications
+// -----------------------------------------------------
+// The core tells other addons when something changes, so
+// there is no need to poll:
+// - `dorios:stats_changed`: { playerId, playerName, stats, passives,
+//   actives, immunities }. Stats, passives and actives only list the
+//   changed keys as { old, new }, immunities list `added` and `removed`.
+// - `dorios:trinket_equipped` / `dorios:trinket_unequipped`:
+//   { playerId, playerName, item, slot, affixes }
+
+system.afterEvents.scriptEventReceive.subscribe(e => {
+    if (e.id === "dorios:stats_changed") {
+        const { playerId, stats } = JSON.parse(e.message);
+        const player = world.getEntity(playerId);
+        if (stats.attack) {
+            player?.sendMessage(`Attack: ${stats.attack.old} -> ${stats.attack.new}`);
+        }
+    }
+
+    if (e.id === "dorios:trinket_equipped") {
+        const { playerName, item, slot } = JSON.parse(e.message);
+        console.warn(`${playerName} equipped ${item} (${slot})`);
+    }
+});
+
+// -----------------------------------------------------
+// Reloading
+// -----------------------------------------------------
+// /dorios:reload sends `dorios:reload_registrations`.
+// Send everything again so edited registrations apply
+// without restarting the world.
+
+system.afterEvents.scriptEventReceive.subscribe(e => {
+    if (e.id === "dorios:reload_registrations") sendRegistrations();
+});
+
 // -----------------------------------------------------
 // Confirmation Listener
 // -----------------------------------------------------
@@ -203,9 +902,7 @@ system.afterEvents.scriptEventReceive.subscribe(e => {
             rpgCoreDetected = true;
 
             system.runTimeout(() => {
-                world.sendMessage(
-                    "§a[Addon Name] Dorios RPG Core initialized successfully."
-                );
+                world.sendMessage({ translate: "example.core_detected" });
             }, 300);
         }
     } catch {
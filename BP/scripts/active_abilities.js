@@ -1,6 +1,7 @@
 import { system, world } from '@minecraft/server'
-import { getStatCategory } from './stats_manager.js'
-import { manaBarFrames } from './config.js'
+import { getStatCategory, hasRegisteredStats, applyDamageResistance, getCoreResistanceLevels, RESISTANCE_PER_LEVEL } from './stats_manager.js'
+import { statsConfig } from './config.js'
+import { restoreMana, getMaxMana } from './mana.js'
 
 
 const activesEffectHandlers = {
@@ -23,30 +24,119 @@ const activesEffectHandlers = {
         const lifeStealValue = (value / 100) * context.damage
         attacker.addHealth(lifeStealValue)
     },
-    manaSteal: (_entity, value, attacker, stats) => {
-        let manaScore = world.scoreboard.getObjective('dorios:mana');
-        let mana = manaScore.getScore(attacker.scoreboardIdentity) || 0;
-        const maxMana = stats.mana;
-        const regen = Math.min((value / 100) * maxMana, maxMana - mana)
-        mana += regen
-        manaScore.setScore(attacker.scoreboardIdentity, mana);
-
-        const percentage = mana / maxMana;
-        const frameIndex = Math.floor(percentage * (manaBarFrames.length - 1));
-        const bar = manaBarFrames[frameIndex];
-        if (attacker.getGameMode() != 'creative') {
-            attacker.onScreenDisplay.setActionBar(`                         ${bar}`);
-        }
+    manaSteal: (_entity, value, attacker) => {
+        if (attacker.typeId !== 'minecraft:player') return
+        restoreMana(attacker, (value / 100) * getMaxMana(attacker))
     }
 };
 
+/**
+ * Registers the on-hit handler of a stat.
+ * The handler runs for every hit where the attacker's stat value is above 0.
+ *
+ * @param {string} statName Stat identifier.
+ * @param {(entity: Entity, value: number, attacker: Entity, stats: Object, context: Object) => void} handler
+ */
+export function registerHitHandler(statName, handler) {
+    activesEffectHandlers[statName] = handler;
+}
+
+/**
+ * Removes the on-hit handler of a stat.
+ *
+ * @param {string} statName Stat identifier.
+ */
+export function removeHitHandler(statName) {
+    delete activesEffectHandlers[statName];
+}
+
+/**
+ * Causes of the hits the core is applying itself, indexed by the id of the
+ * hurt entity. The hurt event skips them instead of handling them as new hits.
+ * @type {Map<string, string[]>}
+ */
+const pendingCoreHits = new Map();
+
+/**
+ * Applies damage from the core (attack bonus, crits, thorns), reduced by the
+ * target's damage reduction beforehand so lethal hits are mitigated too.
+ *
+ * @param {Entity} entity Entity receiving the damage.
+ * @param {number} damage Damage before reduction.
+ * @param {Entity} source Entity dealing the damage.
+ * @param {string} cause Damage cause.
+ */
+function applyCoreDamage(entity, damage, source, cause) {
+    if (!entity?.isValid) return;
+
+    const reduction = hasRegisteredStats(entity) ? getStatCategory(entity, 'stats')?.damageReduction ?? 0 : 0;
+    // Resistance still applies to everything but "override" damage, so it's compensated
+    const resistance = cause === 'override' ? 0 : getCoreResistanceLevels(entity) * RESISTANCE_PER_LEVEL;
+    if (resistance >= 100) return;
+
+    dealCoreDamage(entity, damage * (1 - reduction / 100) / (1 - resistance / 100), source, cause);
+}
+
+/**
+ * Applies damage as is, marking it so the hurt event skips it.
+ *
+ * @param {Entity} entity
+ * @param {number} amount
+ * @param {Entity|undefined} source
+ * @param {string} cause
+ */
+function dealCoreDamage(entity, amount, source, cause) {
+    if (!(amount > 0) || !entity?.isValid) return;
+
+    const pending = pendingCoreHits.get(entity.id) ?? [];
+    pending.push(cause);
+    pendingCoreHits.set(entity.id, pending);
+
+    let applied = false;
+    try {
+        applied = entity.applyDamage(amount, source?.isValid ? { damagingEntity: source, cause } : { cause });
+    } finally {
+        if (!applied) takeCoreHit(entity.id, cause);
+    }
+}
+
+/**
+ * Consumes a pending core hit of an entity.
+ *
+ * @param {string} id Entity id.
+ * @param {string} cause Damage cause of the hit.
+ * @returns {boolean} Whether the entity had one with that cause.
+ */
+function takeCoreHit(id, cause) {
+    const pending = pendingCoreHits.get(id);
+    const index = pending?.indexOf(cause) ?? -1;
+    if (index === -1) return false;
+
+    pending.splice(index, 1);
+    if (pending.length === 0) pendingCoreHits.delete(id);
+    return true;
+}
+
+world.afterEvents.entityRemove.subscribe(({ removedEntityId }) => {
+    pendingCoreHits.delete(removedEntityId);
+});
+
 world.afterEvents.entityHurt.subscribe(e => {
     const { hurtEntity, damageSource, damage } = e
     const { damagingProjectile, damagingEntity, cause } = damageSource
 
-    if (cause == 'thorns') return
+    const coreHit = takeCoreHit(hurtEntity?.id, cause)
+    const hurtStats = hurtEntity?.isValid && hasRegisteredStats(hurtEntity) ? getStatCategory(hurtEntity, 'stats') : undefined
+
+    // Every other hit is reduced, thorns included
+    if (hurtStats && !coreHit) {
+        applyDamageReduction(hurtEntity, hurtStats.damageReduction, damage, damagingEntity, cause)
+    }
 
-    if (damagingEntity?.typeId == 'minecraft:player') {
+    if (cause == 'thorns' || coreHit) return
+
+    // Players and registered entities (by type or tag) share the same damage math
+    if (damagingEntity?.isValid && hasRegisteredStats(damagingEntity)) {
         const player = damagingEntity
         const actives = getStatCategory(player, 'actives');
         if (actives) {
@@ -59,31 +149,87 @@ world.afterEvents.entityHurt.subscribe(e => {
             applystatsEffects(hurtEntity, stats, player, context)
         }
 
-        const itemStack = player.getComponent("equippable")?.getEquipment('Mainhand')
-        const mainAbility = itemStack?.getComponent('ea:main_ability')?.customComponentParameters?.params;
-        const baseWeaponDamage = Array.isArray(mainAbility) ? mainAbility[0]?.damage ?? 0 : 0;
+        let totalDamage
+        if (player.typeId == 'minecraft:player') {
+            const itemStack = player.getComponent("equippable")?.getEquipment('Mainhand')
+            const mainAbility = itemStack?.getComponent('ea:main_ability')?.customComponentParameters?.params;
+            const baseWeaponDamage = Array.isArray(mainAbility) ? mainAbility[0]?.damage ?? 0 : 0;
 
-        const totalDamage = calculateAttackDamage(damage, stats, baseWeaponDamage + 1, player);
+            totalDamage = calculateAttackDamage(damage, stats, baseWeaponDamage + 1, player);
+        } else {
+            // The vanilla hit already carries the mob's own attack, only registered stats add to it
+            const critChance = (stats?.critChance ?? 0) - (statsConfig.critChance?.default ?? 0);
+            totalDamage = calculateAttackDamage(damage, { ...stats, critChance }, 0, player);
+        }
         if (totalDamage.damage > 0) {
-            if (totalDamage.isCrit) {
-                hurtEntity.applyDamage(totalDamage.damage, { damagingEntity: player, cause: 'override' })
-            } else {
-                hurtEntity.applyDamage(totalDamage.damage, { damagingEntity: player, cause: 'thorns' })
-            }
+            applyCoreDamage(hurtEntity, totalDamage.damage, player, totalDamage.isCrit ? 'override' : 'thorns')
         }
 
     }
 
-    if (hurtEntity?.typeId == 'minecraft:player') {
-        const player = hurtEntity
-        const stats = getStatCategory(player, 'stats');
-        if (stats) {
-            if (stats.thorns <= 0) return
-            damagingEntity?.applyDamage((stats.thorns / 100) * damage, { damagingEntity: hurtEntity })
+    if (hurtStats) {
+        if (damagingEntity || damagingProjectile) {
+            applyKnockbackResistance(hurtEntity, hurtStats.knockbackRes)
         }
+
+        if (hurtStats.thorns <= 0) return
+        // Thorns damage is skipped by the hurt event, so it can't bounce back
+        applyCoreDamage(damagingEntity, (hurtStats.thorns / 100) * damage, hurtEntity, 'thorns')
     }
 })
 
+/**
+ * Completes the damage reduction of a hit the core didn't apply itself.
+ *
+ * Most of a positive reduction is applied before the hit as resistance
+ * (see `applyDamageResistance`), so big hits are mitigated even when lethal.
+ * The rest is healed back here. Negative reduction deals the extra damage
+ * with the hit's cause and attacker, so kills are credited.
+ *
+ * @param {Entity} player Hurt entity.
+ * @param {number} reduction Damage reduction in percent (-100 to 100).
+ * @param {number} damage Damage taken, after resistance.
+ * @param {Entity} [attacker] Entity that dealt the hit.
+ * @param {string} cause Damage cause of the hit.
+ */
+function applyDamageReduction(player, reduction, damage, attacker, cause) {
+    if (!player.isValid) return;
+
+    // Resistance that was active during this hit, before it's refreshed
+    const resistance = getCoreResistanceLevels(player) * RESISTANCE_PER_LEVEL;
+    // Keeps the resistance in place for the next hit (first hits, milk)
+    applyDamageResistance(player, reduction);
+    if (!reduction || resistance >= 100) return;
+
+    const rawDamage = damage / (1 - resistance / 100);
+    const remaining = rawDamage * (reduction - resistance) / 100;
+
+    if (remaining < 0) {
+        dealCoreDamage(player, -remaining, attacker, cause);
+    } else if (remaining > 0 && player.getHealth() > 0) {
+        player.addHealth(remaining);
+    }
+}
+
+/**
+ * Scales down the knockback an entity just received.
+ * Knockback is applied with the hit, so the velocity is reduced at the end of the tick.
+ *
+ * @param {Entity} player Hurt entity.
+ * @param {number} resistance Knockback resistance in percent (0 to 100).
+ */
+function applyKnockbackResistance(player, resistance) {
+    if (!(resistance > 0)) return;
+
+    const keep = 1 - Math.min(resistance, 100) / 100;
+    system.run(() => {
+        if (!player.isValid) return;
+
+        const { x, y, z } = player.getVelocity();
+        player.applyKnockback({ x: x * keep, z: z * keep }, y > 0 ? y * keep : y);
+    });
+}
+
 
 /**
  * Calculates final damage and whether it was a critical hit.
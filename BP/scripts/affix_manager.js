@@ -0,0 +1,287 @@
+import { world, system, ItemStack } from '@minecraft/server'
+import { data, rarityTiers } from './config.js'
+import { formatStatName } from './stats_manager.js'
+
+/**
+ * @typedef {Object} AffixDefinition
+ * @property {string} id Affix identifier, unique inside its pool.
+ * @property {string} stat Stat modified by the affix.
+ * @property {"flat"|"percent"|"multi"} [type="flat"] Modifier layer (see stat modifiers).
+ * @property {number} min Minimum rolled value.
+ * @property {number} max Maximum rolled value.
+ * @property {number} [weight=1] Relative chance to be picked.
+ * @property {number} [decimals=0] Decimals kept on the rolled value.
+ */
+
+/**
+ * @typedef {Object} RolledAffixes
+ * @property {string} rarity Rarity tier id.
+ * @property {{ id: string, stat: string, type: string, value: number }[]} affixes
+ */
+
+const AFFIX_PROPERTY = "dorios:affixes";
+const TRINKET_AFFIXES_PROPERTY = "dorios:trinketAffixes";
+
+/**
+ * Picks a random element using the `weight` of each candidate.
+ *
+ * @template T
+ * @param {T[]} candidates
+ * @param {(candidate: T) => number} getWeight
+ * @returns {T|undefined}
+ */
+export function pickWeighted(candidates, getWeight) {
+    const total = candidates.reduce((sum, c) => sum + Math.max(0, getWeight(c)), 0);
+    if (total <= 0) return;
+
+    let roll = Math.random() * total;
+    for (const candidate of candidates) {
+        roll -= Math.max(0, getWeight(candidate));
+        if (roll < 0) return candidate;
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * Resolves the rarity tiers an entry can roll.
+ *
+ * `entry.rarities` may override the weight of a global tier with a number,
+ * or declare a full custom tier with an object. Without it, every global
+ * tier in `rarityTiers` can roll.
+ *
+ * @param {Object} entry Registered entry.
+ * @returns {{ id: string, tier: Object }[]}
+ */
+function getEntryRarities(entry) {
+    if (!entry.rarities) {
+        return Object.entries(rarityTiers).map(([id, tier]) => ({ id, tier }));
+    }
+
+    return Object.entries(entry.rarities).map(([id, value]) => {
+        const base = rarityTiers[id] ?? {};
+        const tier = typeof value === "number" ? { ...base, weight: value } : { ...base, ...value };
+        return { id, tier };
+    });
+}
+
+/**
+ * Rolls rarity and affixes for a registered entry.
+ *
+ * @param {Object} entry Registered entry with an `affixes.pool`.
+ * @returns {RolledAffixes|undefined}
+ */
+export function rollAffixes(entry) {
+    const pool = entry?.affixes?.pool;
+    if (!Array.isArray(pool) || pool.length === 0) return;
+
+    const rarity = pickWeighted(getEntryRarities(entry), r => r.tier.weight ?? 0);
+    if (!rarity) return;
+
+    const available = pool.filter(affix => affix?.id && affix.stat && typeof affix.min === "number" && typeof affix.max === "number");
+    const count = Math.min(rarity.tier.rolls ?? 1, available.length);
+    const multiplier = rarity.tier.multiplier ?? 1;
+    const affixes = [];
+
+    for (let i = 0; i < count; i++) {
+        const affix = pickWeighted(available, a => a.weight ?? 1);
+        if (!affix) break;
+        available.splice(available.indexOf(affix), 1);
+
+        const value = DoriosAPI.math.randomInterval(affix.min, affix.max, "float") * multiplier;
+        affixes.push({
+            id: affix.id,
+            stat: affix.stat,
+            type: affix.type ?? "flat",
+            value: DoriosAPI.math.roundTo(value, affix.decimals ?? 0)
+        });
+    }
+
+    return { rarity: rarity.id, affixes };
+}
+
+/**
+ * Returns the stored affixes of an item stack without parsing them,
+ * to cheaply tell whether they changed.
+ *
+ * @param {ItemStack} itemStack
+ * @returns {string|undefined}
+ */
+export function getRawItemAffixes(itemStack) {
+    if (!itemStack || itemStack.maxAmount !== 1) return;
+    return itemStack.getDynamicProperty(AFFIX_PROPERTY);
+}
+
+/**
+ * Reads the rolled affixes stored on an item stack.
+ *
+ * @param {ItemStack} itemStack
+ * @returns {RolledAffixes|undefined}
+ */
+export function getItemAffixes(itemStack) {
+    if (!itemStack || itemStack.maxAmount !== 1) return;
+
+    const raw = itemStack.getDynamicProperty(AFFIX_PROPERTY);
+    if (!raw) return;
+
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return;
+    }
+}
+
+/**
+ * Stores rolled affixes on an item stack and appends them to its lore.
+ * Lore from other addons or commands is kept, only the lines of previously
+ * stored affixes are replaced.
+ *
+ * @param {ItemStack} itemStack Non-stackable item.
+ * @param {RolledAffixes} rolled
+ * @returns {ItemStack} The same item stack.
+ */
+export function setItemAffixes(itemStack, rolled) {
+    if (!rolled || itemStack.maxAmount !== 1) return itemStack;
+
+    const lore = itemStack.getLore();
+    const previous = getItemAffixes(itemStack);
+    const previousLines = previous ? formatAffixLore(previous) : [];
+    const start = lore.length - previousLines.length;
+    const hasPrevious = previousLines.length > 0 && previousLines.every((line, i) => lore[start + i] === line);
+
+    itemStack.setDynamicProperty(AFFIX_PROPERTY, JSON.stringify(rolled));
+    itemStack.setLore([...(hasPrevious ? lore.slice(0, start) : lore), ...formatAffixLore(rolled)]);
+    return itemStack;
+}
+
+/**
+ * Rolls affixes on an item stack if it is registered with an affix pool
+ * and has not been rolled yet.
+ *
+ * @param {ItemStack} itemStack
+ * @returns {boolean} Whether the item was rolled.
+ */
+export function rollItemAffixes(itemStack) {
+    if (!itemStack || itemStack.maxAmount !== 1) return false;
+    if (itemStack.getDynamicProperty(AFFIX_PROPERTY) !== undefined) return false;
+
+    const rolled = rollAffixes(data[itemStack.typeId]);
+    if (!rolled) return false;
+
+    setItemAffixes(itemStack, rolled);
+    return true;
+}
+
+/**
+ * Builds the lore lines of rolled affixes.
+ *
+ * @param {RolledAffixes} rolled
+ * @returns {string[]}
+ */
+function formatAffixLore(rolled) {
+    const tier = rarityTiers[rolled.rarity];
+    const color = tier?.color ?? "§f";
+    const lines = [`§r${color}${tier?.name ?? DoriosAPI.utils.formatIdToText(rolled.rarity)}`];
+
+    for (const affix of rolled.affixes) {
+        const sign = affix.value >= 0 ? "+" : "";
+        const suffix = affix.type === "flat" ? "" : "%";
+        const multi = affix.type === "multi" ? " §8(x)" : "";
+        lines.push(`§r§9${sign}${affix.value}${suffix} ${formatStatName(affix.stat)}${multi}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Converts rolled affixes into a stat source for `calculateAllStats`.
+ *
+ * @param {RolledAffixes} rolled
+ * @returns {{ stats: Object<string, { flat: number, percent: number, multi: number }> }}
+ */
+export function affixesToSource(rolled) {
+    const stats = {};
+
+    for (const affix of rolled?.affixes ?? []) {
+        const modifier = stats[affix.stat] ?? (stats[affix.stat] = { flat: 0, percent: 0, multi: 0 });
+        if (affix.type === "multi") {
+            // Several multiplicative rolls on the same stat stack multiplicatively
+            modifier.multi = ((1 + modifier.multi / 100) * (1 + affix.value / 100) - 1) * 100;
+        } else {
+            modifier[affix.type === "percent" ? "percent" : "flat"] += affix.value;
+        }
+    }
+
+    return { stats };
+}
+
+/**
+ * Returns the rolled affixes of every trinket equipped by a player,
+ * indexed by item type id. Trinkets are stored as tags, so their
+ * affixes are kept on the player while equipped.
+ *
+ * @param {Player} player
+ * @returns {Object<string, RolledAffixes>}
+ */
+export function getTrinketAffixes(player) {
+    const raw = player.getDynamicProperty(TRINKET_AFFIXES_PROPERTY);
+    if (!raw) return {};
+
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Stores (or clears) the rolled affixes of an equipped trinket.
+ *
+ * @param {Player} player
+ * @param {string} typeId Trinket type id.
+ * @param {RolledAffixes|undefined} rolled Affixes to store, `undefined` clears them.
+ * @returns {boolean} Whether the stored value changed.
+ */
+export function setTrinketAffixes(player, typeId, rolled) {
+    const all = getTrinketAffixes(player);
+    const before = JSON.stringify(all[typeId]);
+    const after = JSON.stringify(rolled);
+    if (before === after) return false;
+
+    if (rolled) {
+        all[typeId] = rolled;
+    } else {
+        delete all[typeId];
+    }
+
+    player.setDynamicProperty(
+        TRINKET_AFFIXES_PROPERTY,
+        Object.keys(all).length > 0 ? JSON.stringify(all) : undefined
+    );
+    return true;
+}
+
+/**
+ * Creates the item stack of an equipped trinket, restoring its rolled affixes.
+ *
+ * @param {Player} player
+ * @param {string} typeId Trinket type id.
+ * @returns {ItemStack}
+ */
+export function createTrinketStack(player, typeId) {
+    const itemStack = new ItemStack(typeId);
+    const rolled = getTrinketAffixes(player)[typeId];
+    if (rolled) setItemAffixes(itemStack, rolled);
+    return itemStack;
+}
+
+// Crafted, picked up or otherwise obtained items roll when they reach the inventory
+world.afterEvents.playerInventoryItemChange.subscribe(({ player, itemStack, slot }) => {
+    if (!itemStack || !data[itemStack.typeId]?.affixes) return;
+    if (!rollItemAffixes(itemStack)) return;
+
+    system.run(() => {
+        const container = player.getComponent("inventory")?.container;
+        if (container?.getItem(slot)?.typeId !== itemStack.typeId) return;
+        container.setItem(slot, itemStack);
+    });
+});
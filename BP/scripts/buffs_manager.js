@@ -0,0 +1,234 @@
+import { system, world } from '@minecraft/server'
+import { requestStatsUpdate } from './stats_manager.js'
+
+/**
+ * @typedef {Object} Buff
+ * @property {string} source Identifier of what applied the buff (e.g. "potion:rage").
+ * @property {Object} [stats] Stat modifiers, same format as registrations.
+ * @property {Object} [passives] Passive effects granted while active.
+ * @property {Object} [actives] Active effects applied on hit while active.
+ * @property {string[]} [immunities] Effect immunities granted while active.
+ * @property {number} duration Total duration in ticks.
+ * @property {"refresh"|"stack"|"strongest"} stack Rule used when the same source is applied again.
+ * @property {number} [maxStacks] Maximum instances for the "stack" rule.
+ * @property {number} endTick `system.currentTick` at which the buff expires.
+ */
+
+const BUFFS_PROPERTY = "dorios:buffs";
+const STACK_RULES = ["refresh", "stack", "strongest"];
+
+/** @type {Map<string, Buff[]>} Active buffs indexed by entity id. */
+const activeBuffs = new Map();
+
+/**
+ * Returns the active buffs of an entity.
+ *
+ * @param {Entity} entity
+ * @returns {Buff[]}
+ */
+export function getActiveBuffs(entity) {
+    return activeBuffs.get(entity.id) ?? [];
+}
+
+/**
+ * Adds a timed buff or debuff to a player and recalculates their stats.
+ *
+ * Stack rules for buffs sharing the same `source`:
+ * - "refresh":   Replaces the existing buff and resets its duration (default).
+ * - "stack":     Adds another instance, up to `maxStacks` if defined.
+ * - "strongest": Replaces every buff of the source, unless one of them is
+ *                stronger (see `getBuffStrength`) or as strong and longer.
+ *
+ * @param {Player} player Target player.
+ * @param {Object} buff Buff definition (see `Buff`), `endTick` is computed here.
+ * @returns {boolean} Whether the buff was applied.
+ */
+export function addBuff(player, buff) {
+    if (!buff?.source || !(buff.duration > 0)) {
+        console.warn("[Dorios RPG Core] Invalid buff, 'source' and a positive 'duration' are required:", JSON.stringify(buff));
+        return false;
+    }
+
+    const stack = STACK_RULES.includes(buff.stack) ? buff.stack : "refresh";
+    const newBuff = {
+        source: buff.source,
+        stats: buff.stats,
+        passives: buff.passives,
+        actives: buff.actives,
+        immunities: buff.immunities,
+        duration: buff.duration,
+        stack,
+        maxStacks: buff.maxStacks,
+        endTick: system.currentTick + buff.duration
+    };
+
+    let buffs = getActiveBuffs(player).slice();
+    const sameSource = buffs.filter(b => b.source === newBuff.source);
+
+    if (stack === "stack") {
+        if (newBuff.maxStacks && sameSource.length >= newBuff.maxStacks) {
+            // Drop the instance closest to expiring to make room
+            const oldest = sameSource.reduce((a, b) => (a.endTick <= b.endTick ? a : b));
+            buffs.splice(buffs.indexOf(oldest), 1);
+        }
+        buffs.push(newBuff);
+    } else if (stack === "strongest" && sameSource.length > 0) {
+        const newStrength = getBuffStrength(newBuff);
+        // Debuffs (negative strength) are stronger the more negative they are
+        const rank = strength => newStrength < 0 ? -strength : strength;
+
+        const kept = sameSource.some(current => {
+            const currentRank = rank(getBuffStrength(current));
+            return currentRank > rank(newStrength) || (currentRank === rank(newStrength) && current.endTick >= newBuff.endTick);
+        });
+        if (kept) return false;
+
+        buffs = buffs.filter(b => b.source !== newBuff.source);
+        buffs.push(newBuff);
+    } else {
+        buffs = buffs.filter(b => b.source !== newBuff.source);
+        buffs.push(newBuff);
+    }
+
+    activeBuffs.set(player.id, buffs);
+    saveBuffs(player);
+    requestStatsUpdate(player);
+    return true;
+}
+
+/**
+ * Removes every buff applied by a source and recalculates the player's stats.
+ *
+ * @param {Player} player Target player.
+ * @param {string} source Source identifier used when the buff was added.
+ * @returns {boolean} Whether any buff was removed.
+ */
+export function removeBuff(player, source) {
+    const buffs = getActiveBuffs(player);
+    const remaining = buffs.filter(b => b.source !== source);
+    if (remaining.length === buffs.length) return false;
+
+    setBuffs(player, remaining);
+    saveBuffs(player);
+    requestStatsUpdate(player);
+    return true;
+}
+
+/**
+ * Sums every modifier in a buff, keeping their sign, so drawbacks lower the
+ * strength. Used by the "strongest" stack rule, where a negative total marks
+ * a debuff and ranks by how negative it is.
+ *
+ * @param {Buff} buff
+ * @returns {number}
+ */
+function getBuffStrength(buff) {
+    let strength = 0;
+
+    for (const value of Object.values(buff.stats ?? {})) {
+        if (typeof value === "number") {
+            strength += value;
+        } else if (value && typeof value === "object") {
+            strength += (value.flat ?? 0) + (value.percent ?? 0) + (value.multi ?? 0);
+        }
+    }
+
+    for (const key of ["passives", "actives"]) {
+        for (const level of Object.values(buff[key] ?? {})) {
+            strength += level;
+        }
+    }
+
+    return strength;
+}
+
+function setBuffs(player, buffs) {
+    if (buffs.length > 0) {
+        activeBuffs.set(player.id, buffs);
+    } else {
+        activeBuffs.delete(player.id);
+    }
+}
+
+/**
+ * Persists the player's buffs, storing remaining ticks instead of `endTick`
+ * since `system.currentTick` restarts with every session.
+ *
+ * @param {Player} player
+ */
+function saveBuffs(player) {
+    const now = system.currentTick;
+    const buffs = getActiveBuffs(player).map(({ endTick, ...buff }) => ({
+        ...buff,
+        remaining: endTick - now
+    }));
+
+    player.setDynamicProperty(BUFFS_PROPERTY, buffs.length > 0 ? JSON.stringify(buffs) : undefined);
+}
+
+/**
+ * Restores the player's buffs from dynamic properties.
+ *
+ * @param {Player} player
+ */
+function loadBuffs(player) {
+    const raw = player.getDynamicProperty(BUFFS_PROPERTY);
+    if (!raw) return;
+
+    try {
+        const now = system.currentTick;
+        const buffs = JSON.parse(raw)
+            .filter(buff => buff.remaining > 0)
+            .map(({ remaining, ...buff }) => ({ ...buff, endTick: now + remaining }));
+
+        setBuffs(player, buffs);
+        // Stored stats may still include buffs that expired while offline
+        requestStatsUpdate(player);
+    } catch (err) {
+        console.warn("[Dorios RPG Core] Failed to load buffs:", err);
+        player.setDynamicProperty(BUFFS_PROPERTY, undefined);
+    }
+}
+
+world.afterEvents.playerSpawn.subscribe(({ player, initialSpawn }) => {
+    if (initialSpawn) loadBuffs(player);
+});
+
+world.afterEvents.worldLoad.subscribe(() => {
+    for (const player of world.getPlayers()) {
+        loadBuffs(player);
+    }
+});
+
+world.beforeEvents.playerLeave.subscribe(({ player }) => {
+    // Read-only context: the last periodic save is kept
+    activeBuffs.delete(player.id);
+});
+
+// Expiration check, remaining durations are persisted every 5 seconds
+system.runInterval(() => {
+    if (activeBuffs.size === 0) return;
+
+    const now = system.currentTick;
+    const persist = now % 100 === 0;
+
+    for (const [id, buffs] of activeBuffs) {
+        const remaining = buffs.filter(b => b.endTick > now);
+        if (remaining.length === buffs.length && !persist) continue;
+
+        const player = world.getEntity(id);
+        if (!player?.isValid) {
+            activeBuffs.delete(id);
+            continue;
+        }
+
+        if (remaining.length === buffs.length) {
+            saveBuffs(player);
+            continue;
+        }
+
+        setBuffs(player, remaining);
+        saveBuffs(player);
+        requestStatsUpdate(player);
+    }
+}, 1);
@@ -0,0 +1,192 @@
+import { system, world } from '@minecraft/server'
+import { ActionFormData } from '@minecraft/server-ui'
+import { data, classes, statTexts } from './config.js'
+import { requestStatsUpdate, displayStats } from './stats_manager.js'
+import { getLevelProgress } from './leveling.js'
+import { displayName, toRawMessage } from './lang.js'
+
+/**
+ * @typedef {Object} ClassDefinition
+ * @property {string|RawMessage} [name] Display name, generated from the id when missing.
+ * @property {string|RawMessage} [description] Text shown in the class selection form.
+ * @property {string} [icon] Button texture path.
+ * @property {Object<string, number>} [baseStats] Replaces `statsConfig` defaults.
+ * @property {Object} [stats] Stat modifiers, same format as registrations.
+ * @property {Object<string, number>} [growthPerLevel] Stats gained on every level above 1.
+ * @property {Object} [passives]
+ * @property {Object} [actives]
+ * @property {string[]} [immunities]
+ * @property {string[]} [allowedSlots] Trinket slots the class can use. All when missing.
+ * @property {string[]} [restrictedItems] Item ids the class can't equip.
+ */
+
+const CLASS_PROPERTY = "dorios:class";
+
+/**
+ * Returns the class id of a player, ignoring classes that are no longer registered.
+ *
+ * @param {Entity} entity
+ * @returns {string|undefined}
+ */
+export function getPlayerClass(entity) {
+    if (entity.typeId !== "minecraft:player") return;
+
+    const id = entity.getDynamicProperty(CLASS_PROPERTY);
+    return classes[id] ? id : undefined;
+}
+
+/**
+ * Sets the class of a player and recalculates their stats.
+ * Passing `undefined` clears the class.
+ *
+ * Sends `dorios:class_selected` with { playerId, playerName, class, previousClass }.
+ *
+ * @param {Player} player
+ * @param {string|undefined} classId
+ * @returns {boolean} Whether the class was set.
+ */
+export function setPlayerClass(player, classId) {
+    if (classId !== undefined && !classes[classId]) {
+        console.warn(`[Dorios RPG Core] Class '${classId}' is not registered.`);
+        return false;
+    }
+
+    const previousClass = getPlayerClass(player);
+    player.setDynamicProperty(CLASS_PROPERTY, classId);
+    requestStatsUpdate(player);
+
+    system.sendScriptEvent("dorios:class_selected", JSON.stringify({
+        playerId: player.id,
+        playerName: player.name,
+        class: classId,
+        previousClass
+    }));
+    return true;
+}
+
+/**
+ * Returns the base stat overrides of the entity's class.
+ *
+ * @param {Entity} entity
+ * @returns {Object<string, number>}
+ */
+export function getClassBaseStats(entity) {
+    return classes[getPlayerClass(entity)]?.baseStats ?? {};
+}
+
+/**
+ * Builds the stat source of the entity's class: its own modifiers and effects,
+ * plus `growthPerLevel` for every level above 1.
+ *
+ * @param {Entity} entity
+ * @returns {{ id: string, name: RawMessage, entry: Object }|undefined}
+ */
+export function getClassSource(entity) {
+    const id = getPlayerClass(entity);
+    if (!id) return;
+
+    const definition = classes[id];
+    const { level } = getLevelProgress(entity);
+    const stats = { ...definition.stats };
+
+    for (const [stat, growth] of Object.entries(definition.growthPerLevel ?? {})) {
+        const current = stats[stat];
+        const bonus = growth * (level - 1);
+
+        if (current === undefined) {
+            stats[stat] = bonus;
+        } else if (typeof current === "number") {
+            stats[stat] = current + bonus;
+        } else {
+            stats[stat] = { ...current, flat: (current.flat ?? 0) + bonus };
+        }
+    }
+
+    return {
+        id,
+        name: getClassName(id),
+        entry: {
+            stats,
+            passives: definition.passives,
+            actives: definition.actives,
+            immunities: definition.immunities
+        }
+    };
+}
+
+/**
+ * Checks whether the entity's class allows equipping an item.
+ * Entities without a class can equip anything.
+ *
+ * @param {Entity} entity
+ * @param {string} typeId Item type id.
+ * @returns {boolean}
+ */
+export function canClassEquip(entity, typeId) {
+    const definition = classes[getPlayerClass(entity)];
+    if (!definition) return true;
+
+    if (definition.restrictedItems?.includes(typeId)) return false;
+
+    const slot = data[typeId]?.trinket;
+    if (slot && Array.isArray(definition.allowedSlots) && !definition.allowedSlots.includes(slot)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * @param {string} id Class id.
+ * @returns {RawMessage}
+ */
+export function getClassName(id) {
+    return displayName(classes[id]?.name, id);
+}
+
+/**
+ * Shows the class selection form.
+ *
+ * @param {Player} player
+ */
+export function displayClassSelection(player) {
+    const texts = statTexts.classes;
+    const ids = Object.keys(classes);
+    const current = getPlayerClass(player);
+
+    if (ids.length === 0) {
+        player.sendMessage(texts.none);
+        return;
+    }
+
+    const form = new ActionFormData()
+        .title(texts.title)
+        .body(current ? texts.current(getClassName(current)) : texts.body);
+
+    for (const id of ids) {
+        const description = toRawMessage(classes[id].description ?? "");
+        form.button(texts.button(getClassName(id), description, id === current), classes[id].icon);
+    }
+    form.button(statTexts.breakdown.back);
+
+    form.show(player).then(res => {
+        if (res.canceled) return;
+        if (res.selection === ids.length) return displayStats(player);
+
+        const id = ids[res.selection];
+        if (id === current) return displayClassSelection(player);
+
+        setPlayerClass(player, id);
+        player.sendMessage(texts.selected(getClassName(id)));
+    });
+}
+
+/**
+ * Recalculates online players after classes are registered, so players whose
+ * class was registered late get its stats.
+ */
+export function refreshClassPlayers() {
+    for (const player of world.getPlayers()) {
+        if (player.getDynamicProperty(CLASS_PROPERTY) !== undefined) requestStatsUpdate(player);
+    }
+}
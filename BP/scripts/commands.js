@@ -0,0 +1,205 @@
+import { system, world, CustomCommandStatus } from '@minecraft/server'
+import { data, sets, statsConfig, statTexts } from './config.js'
+import { formatAllStats, clearEntityStats } from './stats_manager.js'
+import { joinMessages } from './lang.js'
+import { addBuff, removeBuff } from './buffs_manager.js'
+import { forceEquipTrinket, unequipTrinket } from './trinkets_inv.js'
+import { refreshAllPlayers } from './stat_definitions.js'
+import { ChestLootInjector } from './loot_injector.js'
+
+const { permissionMap, typeMap } = DoriosAPI.constants;
+const texts = statTexts.commands;
+
+const STACK_ENUM = "dorios:stack_rule";
+const STACK_RULES = ["refresh", "stack", "strongest"];
+
+/**
+ * @typedef {Object} CommandDefinition
+ * @property {string} name Command name without the namespace.
+ * @property {string} description
+ * @property {string} permission Key of `DoriosAPI.constants.permissionMap`.
+ * @property {{ name: string, type: string }[]} [mandatory] Parameters, `type` is a key of `typeMap`.
+ * @property {{ name: string, type: string }[]} [optional]
+ * @property {(origin: CustomCommandOrigin, ...args: any[]) => void} run Runs outside the
+ * command's read-only context, so it can change the world.
+ */
+
+/** @type {CommandDefinition[]} */
+const commands = [
+    {
+        name: "stats",
+        description: "Shows the calculated stats of a player.",
+        permission: "gamedirector",
+        mandatory: [{ name: "player", type: "player" }],
+        run(origin, players) {
+            forEachPlayer(origin, players, player => reply(origin, joinMessages([`§f${player.name}`, formatAllStats(player)])));
+        }
+    },
+    {
+        name: "equiptrinket",
+        description: "Equips a trinket on a player, replacing the one in its slot.",
+        permission: "admin",
+        mandatory: [{ name: "player", type: "player" }, { name: "trinket", type: "item" }],
+        run(origin, players, item) {
+            const id = item.id;
+            if (!data[id]?.trinket) return reply(origin, texts.notTrinket(id));
+
+            forEachPlayer(origin, players, player => {
+                const equipped = forceEquipTrinket(player, id);
+                reply(origin, equipped ? texts.equipped(id, player.name) : texts.alreadyEquipped(id, player.name));
+            });
+        }
+    },
+    {
+        name: "unequiptrinket",
+        description: "Unequips a trinket from a player, giving the item back unless told otherwise.",
+        permission: "admin",
+        mandatory: [{ name: "player", type: "player" }, { name: "trinket", type: "item" }],
+        optional: [{ name: "returnItem", type: "bool" }],
+        run(origin, players, item, returnItem = true) {
+            const id = item.id;
+            if (!data[id]?.trinket) return reply(origin, texts.notTrinket(id));
+
+            forEachPlayer(origin, players, player => {
+                const removed = unequipTrinket(player, id, returnItem);
+                reply(origin, removed ? texts.unequipped(id, player.name) : texts.notEquipped(id, player.name));
+            });
+        }
+    },
+    {
+        name: "addbuff",
+        description: "Adds a timed stat buff to a player. Duration is in ticks.",
+        permission: "admin",
+        mandatory: [
+            { name: "player", type: "player" },
+            { name: "source", type: "string" },
+            { name: "stat", type: "string" },
+            { name: "value", type: "float" },
+            { name: "duration", type: "int" }
+        ],
+        optional: [{ name: STACK_ENUM, type: "enum" }, { name: "maxStacks", type: "int" }],
+        run(origin, players, source, stat, value, duration, stack, maxStacks) {
+            if (!statsConfig[stat]) return reply(origin, texts.unknownStat(stat));
+
+            forEachPlayer(origin, players, player => {
+                const applied = addBuff(player, { source, stats: { [stat]: value }, duration, stack, maxStacks });
+                reply(origin, applied ? texts.buffAdded(source, player.name) : texts.buffRejected(source, player.name));
+            });
+        }
+    },
+    {
+        name: "removebuff",
+        description: "Removes every buff a source applied to a player.",
+        permission: "admin",
+        mandatory: [{ name: "player", type: "player" }, { name: "source", type: "string" }],
+        run(origin, players, source) {
+            forEachPlayer(origin, players, player => {
+                const removed = removeBuff(player, source);
+                reply(origin, removed ? texts.buffRemoved(source, player.name) : texts.noBuff(source, player.name));
+            });
+        }
+    },
+    {
+        name: "listitems",
+        description: "Lists every registered item, trinket and set.",
+        permission: "gamedirector",
+        run(origin) {
+            const lines = Object.entries(data).map(([id, entry]) => texts.itemLine(id, getEntryKind(entry)));
+            for (const id of Object.keys(sets)) lines.push(texts.itemLine(id, texts.setKind));
+
+            if (lines.length === 0) return reply(origin, texts.noItems);
+            reply(origin, joinMessages([texts.itemsTitle(lines.length), ...lines]));
+        }
+    },
+    {
+        name: "resetchests",
+        description: "Lets the natural chests of one region receive loot again.",
+        permission: "admin",
+        optional: [{ name: "location", type: "location" }],
+        run(origin, location) {
+            const pos = location ?? origin.sourceEntity?.location ?? origin.sourceBlock?.location;
+            if (!pos) return reply(origin, texts.noLocation);
+
+            reply(origin, texts.chestsReset(ChestLootInjector.resetRegionTracking(pos)));
+        }
+    },
+    {
+        name: "reload",
+        description: "Asks addons to register again and recalculates every player.",
+        permission: "admin",
+        run(origin) {
+            clearEntityStats();
+            system.sendScriptEvent("dorios:reload_registrations", "{}");
+
+            // Registrations sent back refresh players again when they arrive
+            refreshAllPlayers();
+            reply(origin, texts.reloaded(world.getPlayers().length));
+        }
+    }
+];
+
+/**
+ * Describes what a registration is, for `listitems`.
+ *
+ * @param {Object} entry
+ * @returns {RawMessage}
+ */
+function getEntryKind(entry) {
+    return entry.trinket ? texts.trinketKind(entry.trinket) : texts.statsKind;
+}
+
+/**
+ * Sends command feedback to the player who ran it, or to the log otherwise.
+ *
+ * @param {CustomCommandOrigin} origin
+ * @param {RawMessage} message
+ */
+function reply(origin, message) {
+    const source = origin.sourceEntity;
+    if (source?.typeId === "minecraft:player" && source.isValid) {
+        source.sendMessage(message);
+    } else {
+        console.warn("[Dorios RPG Core]", JSON.stringify(message));
+    }
+}
+
+/**
+ * Runs a callback for every valid player of a selector.
+ *
+ * @param {CustomCommandOrigin} origin
+ * @param {Player[]} players
+ * @param {(player: Player) => void} callback
+ */
+function forEachPlayer(origin, players, callback) {
+    const valid = players.filter(player => player.isValid);
+    if (valid.length === 0) return reply(origin, texts.noPlayers);
+
+    valid.forEach(callback);
+}
+
+system.beforeEvents.startup.subscribe(e => {
+    const registry = e.customCommandRegistry;
+    registry.registerEnum(STACK_ENUM, STACK_RULES);
+
+    for (const command of commands) {
+        const toParameter = ({ name, type }) => ({ name, type: typeMap[type] });
+
+        registry.registerCommand({
+            name: `dorios:${command.name}`,
+            description: command.description,
+            permissionLevel: permissionMap[command.permission],
+            mandatoryParameters: (command.mandatory ?? []).map(toParameter),
+            optionalParameters: (command.optional ?? []).map(toParameter)
+        }, (origin, ...args) => {
+            // Commands run in read-only mode
+            system.run(() => {
+                try {
+                    command.run(origin, ...args);
+                } catch (err) {
+                    console.warn(`[Dorios RPG Core] Error running command 'dorios:${command.name}':`, err);
+                }
+            });
+            return { status: CustomCommandStatus.Success };
+        });
+    }
+});
@@ -0,0 +1,127 @@
+import { world } from '@minecraft/server'
+
+/**
+ * @typedef {Object} Condition
+ * JSON-safe condition. Every key in the same object must pass (AND).
+ *
+ * @property {string|string[]} [dimension] Dimension id(s), e.g. "minecraft:nether".
+ * @property {string|string[]} [biome] Biome id(s), e.g. "minecraft:desert".
+ * @property {"day"|"night"|{ min?: number, max?: number }} [time] Day/night or a time of day range (0-23999).
+ * @property {string|string[]} [weather] "Clear", "Rain" or "Thunder".
+ * @property {{ min?: number, max?: number }} [y] Y level range.
+ * @property {{ min?: number, max?: number }} [health] Health percent range (0-100).
+ * @property {boolean} [sneaking]
+ * @property {boolean} [inWater]
+ * @property {string|string[]} [hasTag] Tag(s) the entity must have.
+ * @property {Condition[]} [any] At least one must pass.
+ * @property {Condition[]} [all] Every one must pass.
+ * @property {Condition} [not] Must fail.
+ */
+
+const NIGHT_START = 13000;
+const NIGHT_END = 23000;
+
+const toArray = value => Array.isArray(value) ? value : [value];
+
+/**
+ * Last weather reported for each dimension, indexed by dimension id without
+ * namespace. Scripts can't read the weather, so it's "Clear" until it changes
+ * after the world loads.
+ * @type {Map<string, string>}
+ */
+const dimensionWeather = new Map();
+
+const withoutNamespace = id => id.replace(/^minecraft:/, "");
+
+world.afterEvents.weatherChange.subscribe(({ dimension, newWeather }) => {
+    dimensionWeather.set(withoutNamespace(dimension), newWeather);
+});
+
+/**
+ * Checks a value against an optional { min, max } range.
+ *
+ * @param {number} value
+ * @param {{ min?: number, max?: number }} range
+ * @returns {boolean}
+ */
+function inRange(value, range) {
+    if (range?.min !== undefined && value < range.min) return false;
+    if (range?.max !== undefined && value > range.max) return false;
+    return true;
+}
+
+/**
+ * Checks every supported key of a condition.
+ * Unknown keys are ignored, so conditions can carry extra metadata.
+ */
+const conditionTests = {
+    dimension: (entity, value) => toArray(value).includes(entity.dimension.id),
+
+    biome: (entity, value) => {
+        const biomeId = entity.dimension.getBiome(entity.location)?.id;
+        return toArray(value).includes(biomeId);
+    },
+
+    time: (_entity, value) => {
+        const time = world.getTimeOfDay();
+        const isNight = time >= NIGHT_START && time < NIGHT_END;
+
+        if (value === "night") return isNight;
+        if (value === "day") return !isNight;
+        return inRange(time, value);
+    },
+
+    weather: (entity, value) => {
+        const weather = dimensionWeather.get(withoutNamespace(entity.dimension.id)) ?? "Clear";
+        return toArray(value).some(w => w.toLowerCase() === weather.toLowerCase());
+    },
+
+    y: (entity, value) => inRange(entity.location.y, value),
+
+    health: (entity, value) => {
+        const health = entity.getComponent("health");
+        if (!health) return false;
+        return inRange((health.currentValue / health.effectiveMax) * 100, value);
+    },
+
+    sneaking: (entity, value) => entity.isSneaking === value,
+
+    inWater: (entity, value) => entity.isInWater === value,
+
+    hasTag: (entity, value) => toArray(value).every(tag => entity.hasTag(tag)),
+
+    any: (entity, value) => toArray(value).some(cond => evaluateCondition(entity, cond)),
+
+    all: (entity, value) => toArray(value).every(cond => evaluateCondition(entity, cond)),
+
+    not: (entity, value) => !evaluateCondition(entity, value)
+};
+
+/**
+ * Evaluates a condition against an entity.
+ *
+ * Accepts the JSON condition language described in `Condition`.
+ * Functions are still supported for registrations made from the same pack.
+ * A missing condition always passes.
+ *
+ * @param {Entity} entity
+ * @param {Condition|((entity: Entity) => boolean)|undefined} condition
+ * @returns {boolean}
+ */
+export function evaluateCondition(entity, condition) {
+    if (condition === undefined || condition === null) return true;
+    if (typeof condition === "function") return !!condition(entity);
+    if (typeof condition !== "object") return false;
+
+    try {
+        for (const [key, value] of Object.entries(condition)) {
+            const test = conditionTests[key];
+            if (test && !test(entity, value)) return false;
+        }
+    } catch (e) {
+        console.warn("[Dorios RPG Core] Error evaluating condition:", JSON.stringify(condition), e);
+        return false;
+    }
+
+    return true;
+}
@@ -1,19 +1,73 @@
-import { updatePlayerStats } from './stats_manager.js'
+import { requestStatsUpdate, getAllStats } from './stats_manager.js'
 import { displayStats } from './stats_manager.js'
 import { clearGlobalImmuneEffects } from './trinkets_inv.js'
+import { addBuff, removeBuff } from './buffs_manager.js'
+import { registerStatDefinition, refreshAllPlayers } from './stat_definitions.js'
+import { addXp } from './leveling.js'
+import { setPlayerClass, refreshClassPlayers } from './classes.js'
+import { getMobLevel } from './mob_scaling.js'
+import { validateEffectConflict } from './effect_conflicts.js'
+import { getMana, getMaxMana, consumeMana, restoreMana } from './mana.js'
 import { ChestLootInjector, MobLootInjector } from './loot_injector.js'
+import { translate, joinMessages } from './lang.js'
 import { world, system } from "@minecraft/server";
 
 export let data = {};
 
+/**
+ * Equipment set definitions, indexed by set id.
+ * Registered through `dorios:register_stat_data` with a `bonuses` field.
+ *
+ * @type {Object<string, { name?: string, bonuses: Object<string, {
+ *   description?: string, stats?: Object, passives?: Object, actives?: Object, immunities?: string[]
+ * }> }>}
+ */
+export const sets = {};
+
+/**
+ * Class definitions, indexed by class id.
+ * Registered through `dorios:register_class` (see `ClassDefinition` in classes.js).
+ *
+ * @type {Object<string, Object>}
+ */
+export const classes = {};
+
 export const vanillaStats = [
     ["speed", "movement", 0.1],
     ["waterSpeed", "underwater_movement", 0.02],
     ["lavaSpeed", "lava_movement", 0.01]
 ]
-export const vanillaEventStats = ["health", "knockbackRes", "damageReduction"]
 export const manaBarFrames = ['', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', ''];
 
+/**
+ * Mana resource, see mana.js. Maximum mana and regeneration come from the
+ * `mana` and `manaRegen` stats.
+ *
+ * - regenInterval: Ticks between regeneration steps.
+ * - hudInterval:   Ticks between redraws of the bar while mana doesn't change.
+ * - showBar:       Draws `manaBarFrames` in the action bar.
+ * - barOffset:     Spaces before the bar, moving it right of the center.
+ */
+export const manaConfig = {
+    regenInterval: 4,
+    hudInterval: 20,
+    showBar: true,
+    barOffset: 25,
+};
+
+/**
+ * Health regeneration from the `healthRegen` stat, see health_regen.js.
+ *
+ * - interval:         Ticks between healing steps.
+ * - combatDuration:   Ticks a player stays in combat after taking damage.
+ * - combatMultiplier: Rate applied while in combat (0 stops it).
+ */
+export const regenConfig = {
+    interval: 4,
+    combatDuration: 100,
+    combatMultiplier: 0.25,
+};
+
 export const slots = {
     head: 0,
     body: 1,
@@ -30,82 +84,385 @@ export const slots = {
     amulet: 12
 };
 
+/**
+ * Saved trinket loadouts, see loadouts.js.
+ *
+ * - maxLoadouts:   Loadouts each player can save.
+ * - maxNameLength: Longer names are cut.
+ */
+export const loadoutConfig = {
+    maxLoadouts: 6,
+    maxNameLength: 24,
+};
+
+/**
+ * Built-in stats. `softCap` reduces gains above a threshold before `min`/`max`
+ * are applied (see `SoftCap` in soft_caps.js). Packs can replace it through
+ * `dorios:register_stat_definition` with only a `softCap`.
+ */
 export const statsConfig = {
-    health: { default: 20, min: 2, max: 100, scale: 2 }, // Scale 2: 2,4,6,...
+    health: { default: 20, min: 2, scale: 2 }, // Scale 2: 2,4,6,...
     mana: { default: 100 },
     attack: { default: 0 },
     attackMulti: { default: 0 },
     knockback: { default: 0 },
-    knockbackRes: { default: 0, min: 0, max: 100, scale: 1 }, // Scale 1: 1,2,3,...
-    damageReduction: { default: 0, min: -100, max: 100, scale: 1 }, // Scale 1: 1,2,3,... (Negative means it receives more damage -100 => x2)
+    knockbackRes: { default: 0, min: 0, max: 100 },
+    damageReduction: { default: 0, min: -100, max: 100 }, // Negative means it receives more damage -100 => x2
     speed: { default: 100 },
     waterSpeed: { default: 100 },
     lavaSpeed: { default: 100 },
     healthRegen: { default: 0 },
-    lifeSteal: { default: 0 },
+    lifeSteal: { default: 0, softCap: { curve: "asymptotic", at: 20, limit: 50 } },
     manaRegen: { default: 5 },
     manaSteal: { default: 0 },
     critMulti: { default: 25 },
-    critChance: { default: 5 },
+    critChance: { default: 5, softCap: { curve: "asymptotic", at: 50, limit: 100 } },
     thorns: { default: 0 },
     fireAspect: { default: 0 },
     extraJumps: { default: 0 },
 };
 
+/**
+ * Player leveling settings.
+ *
+ * - curve:          Experience needed per level (see `getXpForLevel` in leveling.js).
+ * - pointsPerLevel: Stat points granted on every level up.
+ * - pointStats:     Value gained per stat point spent on each stat.
+ * - growthPerLevel: Fixed stats gained on every level above 1.
+ * - xpSources:      Experience granted by kills (by type id, "monster" for any
+ *                   other hostile mob, "default" for the rest) and by opening
+ *                   a chest for the first time.
+ */
+export const levelConfig = {
+    maxLevel: 100,
+    curve: { type: "polynomial", base: 100, exponent: 1.5 },
+    pointsPerLevel: 1,
+    pointStats: {
+        health: 2,
+        mana: 10,
+        attack: 0.5,
+        critChance: 0.5,
+        damageReduction: 1,
+        speed: 1,
+    },
+    growthPerLevel: {
+        mana: 1,
+    },
+    xpSources: {
+        kills: {
+            "minecraft:ender_dragon": 500,
+            "minecraft:wither": 500,
+            "minecraft:warden": 250,
+            "minecraft:elder_guardian": 100,
+            monster: 10,
+            default: 1,
+        },
+        chestLoot: 25,
+    },
+};
+
+/**
+ * Rarity tiers used when rolling affixes.
+ *
+ * - weight:     Relative chance to roll the tier.
+ * - rolls:      Amount of affixes rolled from the item pool.
+ * - multiplier: Applied to every rolled affix value.
+ */
+export const rarityTiers = {
+    common: { name: "Common", color: "§f", weight: 60, rolls: 1, multiplier: 1 },
+    uncommon: { name: "Uncommon", color: "§a", weight: 25, rolls: 2, multiplier: 1.1 },
+    rare: { name: "Rare", color: "§9", weight: 10, rolls: 2, multiplier: 1.25 },
+    epic: { name: "Epic", color: "§5", weight: 4, rolls: 3, multiplier: 1.5 },
+    legendary: { name: "Legendary", color: "§6", weight: 1, rolls: 4, multiplier: 2 },
+};
+
+/**
+ * Elite mob settings.
+ *
+ * - chance:     Chance (0-1) for a mob of one of `families` to spawn as an elite.
+ * - families:   Type families that can become elites.
+ * - minAffixes: Fewest affixes rolled on an elite.
+ * - maxAffixes: Most affixes rolled on an elite.
+ * - loot:       Drop bonus of every elite on top of its affixes:
+ *               `chanceMultiplier` scales `entityDrops` chances,
+ *               `extraRolls` repeats each drop roll.
+ * - nameTag:    Shows the affixes in the mob's name tag. Named mobs never
+ *               despawn, so it's off by default.
+ */
+export const eliteConfig = {
+    chance: 0.05,
+    families: ["monster"],
+    minAffixes: 1,
+    maxAffixes: 2,
+    loot: { chanceMultiplier: 2, extraRolls: 1 },
+    nameTag: false,
+};
+
+/**
+ * Elite affixes, indexed by affix id. Addons add more through `dorios:register_elite_affix`.
+ *
+ * - name:       Prefix shown in the mob's name tag.
+ * - weight:     Relative chance to be rolled (default 1).
+ * - stats, actives, immunities: Same format as registrations.
+ * - effects:    Effects (id → level) applied for as long as the mob lives.
+ * - onDeath:    `{ explosion: power, breaksBlocks?: boolean }` when the mob dies.
+ * - loot:       Extra `chanceMultiplier` (multiplied) and `extraRolls` (added) for its drops.
+ */
+export const eliteAffixes = {
+    vampiric: { name: "§4Vampiric", stats: { lifeSteal: 30 } },
+    thorned: { name: "§2Thorned", stats: { thorns: 40 } },
+    swift: { name: "§bSwift", effects: { speed: 2 } },
+    armored: { name: "§7Armored", stats: { damageReduction: 35, knockbackRes: 60 } },
+    brutal: { name: "§cBrutal", stats: { attack: 4, critChance: 20 } },
+    explosive: { name: "§6Explosive", weight: 0.5, onDeath: { explosion: 3 }, loot: { extraRolls: 1 } },
+};
+
+/**
+ * Effects that can't be active together, indexed by conflict id.
+ * Addons add or replace conflicts through `dorios:register_effect_conflict`
+ * (see `EffectConflict` in effect_conflicts.js).
+ */
+export const effectConflicts = {
+    poison_regeneration: { effects: ["poison", "regeneration"], resolution: "cancel" },
+    weakness_strength: { effects: ["weakness", "strength"], resolution: "cancel" },
+    mining_fatigue_haste: { effects: ["mining_fatigue", "haste"], resolution: "cancel" },
+    slowness_speed: { effects: ["slowness", "speed"], resolution: "cancel" },
+};
+
+/**
+ * Level scaling of hostile mobs.
+ *
+ * A mob's level is the sum of:
+ * - distance:   Blocks from world spawn (horizontal), `levels × (blocks / step)^exponent`.
+ * - depth:      Blocks below `startY`, same formula.
+ * - dimensions: Flat levels per dimension id.
+ * The result is floored and limited to `maxLevel`.
+ *
+ * - perLevel: Stats gained per level. `health` is a percent of the mob's max
+ *             health, applied with health boost (4 health per effect level).
+ *             Other entries are stat modifiers multiplied by the level.
+ * - loot:     `chancePerLevel` adds to the drop chance multiplier of `entityDrops`.
+ * - nameTag:  Shows the level in the mob's name tag. Named mobs never despawn,
+ *             so it's off by default.
+ */
+export const mobScaling = {
+    families: ["monster"],
+    maxLevel: 100,
+    distance: { step: 500, levels: 2, exponent: 1 },
+    depth: { startY: 0, step: 16, levels: 1, exponent: 1 },
+    dimensions: {
+        "minecraft:overworld": 0,
+        "minecraft:nether": 15,
+        "minecraft:the_end": 30,
+    },
+    perLevel: {
+        health: 5,
+        attack: 0.25,
+        damageReduction: 0.5,
+    },
+    loot: { chancePerLevel: 0.02 },
+    nameTag: false,
+};
+
+/**
+ * Formats a built-in stat line with its translated name.
+ *
+ * @param {string} stat Stat id, translated with `dorios.stat.<id>`.
+ * @param {number} value
+ * @param {"value"|"percent"|"per_second"|"seconds"} [unit="value"]
+ * @returns {RawMessage}
+ */
+const statLine = (stat, value, unit = "value") => translate(`dorios.format.${unit}`, translate(`dorios.stat.${stat}`), value);
+
+/**
+ * Player-facing text. Every entry is a RawMessage (or builds one) pointing to
+ * a key in RP/texts/*.lang, see lang.js.
+ */
 export const statTexts = {
-    title: '§6§lAll Stats:',
+    title: translate("dorios.stats.title"),
+    noData: translate("dorios.stats.no_data"),
     sections: {
         stats: {
-            title: "§e§lStats:§r",
-            description: "§7These attributes modify your core abilities.",
-            empty: "§8- None",
+            title: translate("dorios.stats.section.stats"),
+            description: translate("dorios.stats.section.stats.description"),
+            empty: translate("dorios.stats.none"),
         },
         passives: {
-            title: "§a§lPassive Effects:§r",
-            description: "§7These effects are always active on you.",
-            empty: "§8- None",
+            title: translate("dorios.stats.section.passives"),
+            description: translate("dorios.stats.section.passives.description"),
+            empty: translate("dorios.stats.none"),
         },
         actives: {
-            title: "§c§lActive Effects:§r",
-            description: "§7These effects are applied by you to enemies.",
-            empty: "§8- None",
+            title: translate("dorios.stats.section.actives"),
+            description: translate("dorios.stats.section.actives.description"),
+            empty: translate("dorios.stats.none"),
         },
         immunities: {
-            title: "§d§lImmunities:§r",
-            description: "§7You are immune to the following effects.",
-            empty: "§8- None",
+            title: translate("dorios.stats.section.immunities"),
+            description: translate("dorios.stats.section.immunities.description"),
+            empty: translate("dorios.stats.none"),
+        },
+        sets: {
+            title: translate("dorios.stats.section.sets"),
+            description: translate("dorios.stats.section.sets.description"),
+            empty: translate("dorios.stats.none"),
         }
     },
 
+    mobs: {
+        // Name tags only accept plain text, so this one can't be translated
+        nameTag: (level, prefixes, mobName) => [
+            level > 0 ? `§7Lv. ${level}` : "",
+            ...prefixes,
+            `§r${prefixes.length > 0 ? "§e" : "§f"}${mobName}`
+        ].filter(Boolean).join(" "),
+    },
+
+    sources: {
+        elite: name => translate("dorios.source.elite", name),
+        level: level => translate("dorios.source.level", level),
+        equipment: (name, slot) => translate("dorios.source.equipment", name, translate(`dorios.slot.${slot}`)),
+        affixes: name => translate("dorios.source.affixes", name),
+        buff: name => translate("dorios.source.buff", name),
+        class: name => translate("dorios.source.class", name),
+        set: (name, pieces) => translate("dorios.source.set", name, pieces),
+    },
+
+    level: {
+        title: translate("dorios.level.title"),
+        progress: (level, xp, needed) => translate("dorios.level.progress", level, xp, needed),
+        maxLevel: level => translate("dorios.level.max", level),
+        points: points => translate("dorios.level.points", points),
+        levelUp: level => translate("dorios.level.level_up", level),
+        button: translate("dorios.level.button"),
+        pointsTitle: translate("dorios.level.points_title"),
+        pointsBody: points => translate("dorios.level.points_body", points),
+        pointButton: (label, value, spent) => translate("dorios.level.point_button", label, value, spent),
+        noPoints: translate("dorios.level.no_points"),
+    },
+
+    classes: {
+        title: translate("dorios.class.title"),
+        display: name => translate("dorios.class.display", name),
+        noClass: translate("dorios.class.no_class"),
+        body: translate("dorios.class.body"),
+        current: name => translate("dorios.class.current", name),
+        button: (name, description, selected) => translate(selected ? "dorios.class.button.selected" : "dorios.class.button", name, description),
+        selected: name => translate("dorios.class.selected", name),
+        menuButton: translate("dorios.class.menu_button"),
+        none: translate("dorios.class.none"),
+        restricted: translate("dorios.class.restricted"),
+    },
+
+    loadouts: {
+        title: translate("dorios.loadout.title"),
+        body: (count, max, stored) => translate("dorios.loadout.body", count, max, stored),
+        button: (name, trinkets) => translate("dorios.loadout.button", name, trinkets),
+        menuButton: translate("dorios.loadout.menu_button"),
+        save: translate("dorios.loadout.save"),
+        withdraw: stored => translate("dorios.loadout.withdraw", stored),
+        withdrawn: count => translate("dorios.loadout.withdrawn", count),
+        contents: names => names.length > 0
+            ? joinMessages(names.map(name => translate("dorios.loadout.entry", name)))
+            : translate("dorios.loadout.empty"),
+        equip: translate("dorios.loadout.equip"),
+        overwrite: translate("dorios.loadout.overwrite"),
+        delete: translate("dorios.loadout.delete"),
+        equipped: name => translate("dorios.loadout.equipped", name),
+        missing: ids => translate("dorios.loadout.missing", ids),
+        restricted: ids => translate("dorios.loadout.restricted", ids),
+        saved: name => translate("dorios.loadout.saved", name),
+        saveFailed: max => translate("dorios.loadout.save_failed", max),
+        deleted: name => translate("dorios.loadout.deleted", name),
+        nameField: translate("dorios.loadout.name_field"),
+        namePlaceholder: translate("dorios.loadout.name_placeholder"),
+    },
+
+    commands: {
+        noPlayers: translate("dorios.command.no_players"),
+        notTrinket: id => translate("dorios.command.not_trinket", id),
+        equipped: (id, name) => translate("dorios.command.equipped", id, name),
+        alreadyEquipped: (id, name) => translate("dorios.command.already_equipped", name, id),
+        unequipped: (id, name) => translate("dorios.command.unequipped", id, name),
+        notEquipped: (id, name) => translate("dorios.command.not_equipped", name, id),
+        unknownStat: stat => translate("dorios.command.unknown_stat", stat),
+        buffAdded: (source, name) => translate("dorios.command.buff_added", source, name),
+        buffRejected: (source, name) => translate("dorios.command.buff_rejected", name, source),
+        buffRemoved: (source, name) => translate("dorios.command.buff_removed", source, name),
+        noBuff: (source, name) => translate("dorios.command.no_buff", name, source),
+        itemsTitle: count => translate("dorios.command.items_title", count),
+        itemLine: (id, kind) => translate("dorios.command.item_line", id, kind),
+        trinketKind: slot => translate("dorios.command.kind.trinket", slot),
+        statsKind: translate("dorios.command.kind.stats"),
+        setKind: translate("dorios.command.kind.set"),
+        noItems: translate("dorios.command.no_items"),
+        noLocation: translate("dorios.command.no_location"),
+        chestsReset: region => translate("dorios.command.chests_reset", region),
+        reloaded: count => translate("dorios.command.reloaded", count),
+    },
+
+    breakdown: {
+        button: translate("dorios.breakdown.button"),
+        title: translate("dorios.breakdown.title"),
+        body: translate("dorios.breakdown.body"),
+        back: translate("dorios.breakdown.back"),
+        sourcesTitle: translate("dorios.breakdown.sources"),
+        empty: translate("dorios.stats.none"),
+        base: value => translate("dorios.breakdown.base", value),
+        source: (label, modifier) => translate("dorios.breakdown.source", label, modifier),
+        raw: value => translate("dorios.breakdown.raw", value),
+        limits: (min, max) => translate("dorios.breakdown.limits", min, max),
+        cappedMax: max => translate("dorios.breakdown.capped_max", max),
+        cappedMin: min => translate("dorios.breakdown.capped_min", min),
+        scale: scale => translate("dorios.breakdown.scale", scale),
+        final: value => translate("dorios.breakdown.final", value),
+        softCap: (raw, effective) => translate("dorios.breakdown.soft_cap", raw, effective),
+        softCapCurve: softCap => softCap.curve === "piecewise"
+            ? translate("dorios.soft_cap.piecewise", softCap.steps.map(step => `${step.at}: ${DoriosAPI.math.roundTo(step.rate * 100, 2)}%`).join(", "))
+            : softCap.curve === "linear"
+                ? translate("dorios.soft_cap.linear", softCap.at, DoriosAPI.math.roundTo((softCap.rate ?? 0.5) * 100, 2))
+                : translate("dorios.soft_cap.asymptotic", softCap.at, softCap.limit),
+    },
+
     formats: {
         // Individual stat formatters
-        health: value => `§7- Max Health: §f${value / 2}`,
-        mana: value => `§7- Max Mana: §f${value}`,
-        attack: value => `§7- Bonus Damage: §f${value}`,
-        attackMulti: value => `§7- Attack Multiplier: §f${value}%%`,
-        knockback: value => `§7- Knockback: §f${value}`,
-        knockbackRes: value => `§7- Knockback Resistance: §f${value}%%`,
-        damageReduction: value => `§7- Damage Reduction: §f${value}%%`,
-        speed: value => `§7- Movement Speed: §f${value}%%`,
-        waterSpeed: value => `§7- Water Speed: §f${value}%%`,
-        lavaSpeed: value => `§7- Lava Speed: §f${value}%%`,
-        healthRegen: value => `§7- Health Regen: §f${value}/s`,
-        lifeSteal: value => `§7- Life Steal: §f${value}%%`,
-        manaRegen: value => `§7- Mana Regen: §f${value}/s`,
-        manaSteal: value => `§7- Mana Steal: §f${value}%%`,
-        critMulti: value => `§7- Critical Multiplier: §f${value}%%`,
-        critChance: value => `§7- Critical Chance: §f${value}%%`,
-        thorns: value => `§7- Thorns: §f${value}%%`,
-        fireAspect: value => `§7- Fire Aspect: §f${value}s`,
-        extraJumps: value => `§7- Extra Jumps: §f${value}`,
+        health: value => statLine("health", value / 2),
+        mana: value => statLine("mana", value),
+        attack: value => statLine("attack", value),
+        attackMulti: value => statLine("attackMulti", value, "percent"),
+        knockback: value => statLine("knockback", value),
+        knockbackRes: value => statLine("knockbackRes", value, "percent"),
+        damageReduction: value => statLine("damageReduction", value, "percent"),
+        speed: value => statLine("speed", value, "percent"),
+        waterSpeed: value => statLine("waterSpeed", value, "percent"),
+        lavaSpeed: value => statLine("lavaSpeed", value, "percent"),
+        healthRegen: value => statLine("healthRegen", value, "per_second"),
+        lifeSteal: value => statLine("lifeSteal", value, "percent"),
+        manaRegen: value => statLine("manaRegen", value, "per_second"),
+        manaSteal: value => statLine("manaSteal", value, "percent"),
+        critMulti: value => statLine("critMulti", value, "percent"),
+        critChance: value => statLine("critChance", value, "percent"),
+        thorns: value => statLine("thorns", value, "percent"),
+        fireAspect: value => statLine("fireAspect", value, "seconds"),
+        extraJumps: value => statLine("extraJumps", value),
 
         // Other categories
-        passive: (label, value) => `§7- ${label}: §f${value}`,
-        active: (label, value) => `§7- ${label}: §f${value}`,
-        immunity: label => `§7- §f${label}`,
+        passive: (label, value) => translate("dorios.format.value", label, value),
+        active: (label, value) => translate("dorios.format.value", label, value),
+        immunity: label => translate("dorios.format.immunity", label),
+        set: (label, equipped, total) => translate("dorios.format.set", label, equipped, total),
+        // Indented here, lang files may trim leading spaces
+        setTier: (pieces, active, description) => joinMessages(["  ", translate(
+            `dorios.format.set_tier${active ? ".active" : ""}${description ? ".described" : ""}`,
+            pieces,
+            ...(description ? [description] : [])
+        )], ""),
+
+        // Appended to stat lines reduced by a soft cap
+        softCapped: raw => translate("dorios.format.soft_capped", raw),
 
         // Fallback
-        default: (label, value) => `§7- ${label}: §f${value}`,
+        default: (label, value) => translate("dorios.format.value", label, value),
     }
 };
 
@@ -127,6 +484,12 @@ export const scriptEventsHandler = {
                     continue;
                 }
 
+                // Set definitions only describe bonus tiers
+                if (config.bonuses) {
+                    sets[id] = config;
+                    continue;
+                }
+
                 data[id] = config;
 
                 if (config.loot) {
@@ -138,6 +501,8 @@ export const scriptEventsHandler = {
                 }
             }
 
+            refreshAllPlayers();
+
             system.sendScriptEvent(
                 "dorios:stat_data_registered",
                 JSON.stringify({ registered: true })
@@ -150,8 +515,48 @@ export const scriptEventsHandler = {
             console.warn("[Dorios RPG Core] JSON parse failed:", err, e.message);
         }
     },
+    "dorios:register_stat_definition": e => {
+        try {
+            const definitions = JSON.parse(e.message);
+
+            if (!definitions || typeof definitions !== "object") {
+                console.warn("[Dorios RPG Core] Invalid stat definition payload:", e.message);
+                return;
+            }
+
+            const registered = [];
+            for (const [id, definition] of Object.entries(definitions)) {
+                if (!definition || typeof definition !== "object") {
+                    console.warn(`[Dorios RPG Core] Skipping invalid stat definition '${id}':`, definition);
+                    continue;
+                }
+
+                if (registerStatDefinition(id, definition)) registered.push(id);
+            }
+
+            refreshAllPlayers();
+
+            system.sendScriptEvent(
+                "dorios:stat_definition_registered",
+                JSON.stringify({ registered: true, stats: registered })
+            );
+        } catch (err) {
+            system.sendScriptEvent(
+                "dorios:stat_definition_registered",
+                JSON.stringify({ registered: false })
+            );
+            console.warn("[Dorios RPG Core] JSON parse failed:", err, e.message);
+        }
+    },
     "dorios:update_stats": e => {
-        updatePlayerStats(e.sourceEntity)
+        try {
+            const payload = JSON.parse(e.message || "{}");
+            // Without a target, mobs can run it too after their tags change
+            const entity = payload?.target !== undefined ? resolveTargetPlayer(e, payload) : e.sourceEntity;
+            if (entity?.isValid) requestStatsUpdate(entity);
+        } catch (err) {
+            console.warn("[Dorios RPG Core] update_stats: JSON parse failed:", err, e.message);
+        }
     },
     "dorios:update_effects": e => {
         clearGlobalImmuneEffects(e.sourceEntity)
@@ -164,5 +569,281 @@ export const scriptEventsHandler = {
     },
     "dorios:reset_chest_tracking": e => {
         ChestLootInjector.resetChestTracking()
+    },
+    "dorios:register_class": e => {
+        try {
+            const definitions = JSON.parse(e.message);
+
+            if (!definitions || typeof definitions !== "object") {
+                console.warn("[Dorios RPG Core] Invalid class payload:", e.message);
+                return;
+            }
+
+            const registered = [];
+            for (const [id, definition] of Object.entries(definitions)) {
+                if (!definition || typeof definition !== "object") {
+                    console.warn(`[Dorios RPG Core] Skipping invalid class '${id}':`, definition);
+                    continue;
+                }
+
+                classes[id] = definition;
+                registered.push(id);
+            }
+
+            refreshClassPlayers();
+
+            system.sendScriptEvent(
+                "dorios:class_registered",
+                JSON.stringify({ registered: true, classes: registered })
+            );
+        } catch (err) {
+            system.sendScriptEvent(
+                "dorios:class_registered",
+                JSON.stringify({ registered: false })
+            );
+            console.warn("[Dorios RPG Core] JSON parse failed:", err, e.message);
+        }
+    },
+    "dorios:register_elite_affix": e => {
+        try {
+            const definitions = JSON.parse(e.message);
+
+            if (!definitions || typeof definitions !== "object") {
+                console.warn("[Dorios RPG Core] Invalid elite affix payload:", e.message);
+                return;
+            }
+
+            const registered = [];
+            for (const [id, definition] of Object.entries(definitions)) {
+                if (!definition || typeof definition !== "object") {
+                    console.warn(`[Dorios RPG Core] Skipping invalid elite affix '${id}':`, definition);
+                    continue;
+                }
+
+                eliteAffixes[id] = definition;
+                registered.push(id);
+            }
+
+            system.sendScriptEvent(
+                "dorios:elite_affix_registered",
+                JSON.stringify({ registered: true, affixes: registered })
+            );
+        } catch (err) {
+            system.sendScriptEvent(
+                "dorios:elite_affix_registered",
+                JSON.stringify({ registered: false })
+            );
+            console.warn("[Dorios RPG Core] JSON parse failed:", err, e.message);
+        }
+    },
+    "dorios:register_effect_conflict": e => {
+        try {
+            const definitions = JSON.parse(e.message);
+
+            if (!definitions || typeof definitions !== "object") {
+                console.warn("[Dorios RPG Core] Invalid effect conflict payload:", e.message);
+                return;
+            }
+
+            const registered = [];
+            for (const [id, definition] of Object.entries(definitions)) {
+                if (!validateEffectConflict(definition)) {
+                    console.warn(`[Dorios RPG Core] Skipping invalid effect conflict '${id}':`, JSON.stringify(definition));
+                    continue;
+                }
+
+                effectConflicts[id] = definition;
+                registered.push(id);
+            }
+
+            refreshAllPlayers();
+
+            system.sendScriptEvent(
+                "dorios:effect_conflict_registered",
+                JSON.stringify({ registered: true, conflicts: registered })
+            );
+        } catch (err) {
+            system.sendScriptEvent(
+                "dorios:effect_conflict_registered",
+                JSON.stringify({ registered: false })
+            );
+            console.warn("[Dorios RPG Core] JSON parse failed:", err, e.message);
+        }
+    },
+    "dorios:get_player_stats": e => {
+        let requestId;
+        try {
+            const payload = JSON.parse(e.message || "{}");
+            requestId = payload.requestId;
+
+            const player = resolveTargetPlayer(e, payload);
+            if (!player) {
+                system.sendScriptEvent(
+                    "dorios:player_stats",
+                    JSON.stringify({ requestId, found: false })
+                );
+                return;
+            }
+
+            system.sendScriptEvent(
+                "dorios:player_stats",
+                JSON.stringify({
+                    requestId,
+                    found: true,
+                    playerId: player.id,
+                    playerName: player.name,
+                    ...getAllStats(player)
+                })
+            );
+        } catch (err) {
+            system.sendScriptEvent(
+                "dorios:player_stats",
+                JSON.stringify({ requestId, found: false })
+            );
+            console.warn("[Dorios RPG Core] get_player_stats: JSON parse failed:", err, e.message);
+        }
+    },
+    "dorios:get_mob_level": e => {
+        try {
+            const payload = JSON.parse(e.message);
+            const entity = world.getEntity(payload.entity);
+            if (!entity?.isValid) {
+                console.warn("[Dorios RPG Core] get_mob_level: entity not found:", e.message);
+                return;
+            }
+
+            system.sendScriptEvent(
+                "dorios:mob_level",
+                JSON.stringify({ entity: entity.id, typeId: entity.typeId, level: getMobLevel(entity) })
+            );
+        } catch (err) {
+            console.warn("[Dorios RPG Core] get_mob_level: JSON parse failed:", err, e.message);
+        }
+    },
+    "dorios:set_class": e => {
+        try {
+            const payload = JSON.parse(e.message);
+            const player = resolveTargetPlayer(e, payload);
+            if (!player) {
+                console.warn("[Dorios RPG Core] set_class: target player not found:", e.message);
+                return;
+            }
+
+            setPlayerClass(player, payload.class ?? undefined);
+        } catch (err) {
+            console.warn("[Dorios RPG Core] set_class: JSON parse failed:", err, e.message);
+        }
+    },
+    "dorios:add_buff": e => {
+        try {
+            const payload = JSON.parse(e.message);
+            const player = resolveTargetPlayer(e, payload);
+            if (!player) {
+                console.warn("[Dorios RPG Core] add_buff: target player not found:", e.message);
+                return;
+            }
+
+            addBuff(player, payload);
+        } catch (err) {
+            console.warn("[Dorios RPG Core] add_buff: JSON parse failed:", err, e.message);
+        }
+    },
+    "dorios:add_xp": e => {
+        try {
+            const payload = JSON.parse(e.message);
+            const player = resolveTargetPlayer(e, payload);
+            if (!player) {
+                console.warn("[Dorios RPG Core] add_xp: target player not found:", e.message);
+                return;
+            }
+
+            addXp(player, Number(payload.amount), payload.reason ?? "addon");
+        } catch (err) {
+            console.warn("[Dorios RPG Core] add_xp: JSON parse failed:", err, e.message);
+        }
+    },
+    "dorios:consume_mana": e => handleManaRequest(e, "consume"),
+    "dorios:restore_mana": e => handleManaRequest(e, "restore"),
+    "dorios:get_mana": e => handleManaRequest(e, "get"),
+    "dorios:remove_buff": e => {
+        try {
+            const payload = JSON.parse(e.message);
+            const player = resolveTargetPlayer(e, payload);
+            if (!player) {
+                console.warn("[Dorios RPG Core] remove_buff: target player not found:", e.message);
+                return;
+            }
+
+            removeBuff(player, payload.source);
+        } catch (err) {
+            console.warn("[Dorios RPG Core] remove_buff: JSON parse failed:", err, e.message);
+        }
+    }
+}
+
+/**
+ * Resolves the player targeted by a script event.
+ *
+ * Uses `payload.target` (player id or name) when present, so other packs can
+ * target players through `system.sendScriptEvent`. Falls back to the entity
+ * that ran `/scriptevent`.
+ *
+ * @param {import('@minecraft/server').ScriptEventCommandMessageAfterEvent} e
+ * @param {{ target?: string }} payload
+ * @returns {import('@minecraft/server').Player|undefined}
+ */
+function resolveTargetPlayer(e, payload) {
+    const target = payload?.target;
+    if (target !== undefined) {
+        return world.getPlayers().find(p => p.id === String(target) || p.name === target);
+    }
+
+    return e.sourceEntity?.typeId === "minecraft:player" ? e.sourceEntity : undefined;
+}
+
+/**
+ * Answers `dorios:consume_mana`, `dorios:restore_mana` and `dorios:get_mana`
+ * through `dorios:mana_result` with { requestId, action, success, playerId,
+ * playerName, mana, maxMana }. `reason` explains failures: "not_found",
+ * "invalid_amount", "insufficient" or "invalid_payload". Restoring also
+ * sends `restored`.
+ *
+ * @param {import('@minecraft/server').ScriptEventCommandMessageAfterEvent} e
+ * @param {"consume"|"restore"|"get"} action
+ */
+function handleManaRequest(e, action) {
+    let requestId;
+    const send = result => system.sendScriptEvent(
+        "dorios:mana_result",
+        JSON.stringify({ requestId, action, ...result })
+    );
+
+    try {
+        const payload = JSON.parse(e.message || "{}");
+        requestId = payload.requestId;
+
+        const player = resolveTargetPlayer(e, payload);
+        if (!player) return send({ success: false, reason: "not_found" });
+
+        const amount = Number(payload.amount);
+        const info = () => ({ playerId: player.id, playerName: player.name, mana: getMana(player), maxMana: getMaxMana(player) });
+
+        if (action !== "get" && !(amount >= 0)) return send({ success: false, reason: "invalid_amount", ...info() });
+
+        switch (action) {
+            case "consume": {
+                const spent = consumeMana(player, amount);
+                send(spent ? { success: true, ...info() } : { success: false, reason: "insufficient", ...info() });
+                break;
+            }
+            case "restore":
+                send({ success: true, restored: restoreMana(player, amount), ...info() });
+                break;
+            default:
+                send({ success: true, ...info() });
+        }
+    } catch (err) {
+        send({ success: false, reason: "invalid_payload" });
+        console.warn(`[Dorios RPG Core] ${action}_mana: JSON parse failed:`, err, e.message);
     }
-}
\ No newline at end of file
+}
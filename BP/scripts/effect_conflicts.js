@@ -0,0 +1,61 @@
+import { effectConflicts } from './config.js'
+
+/**
+ * @typedef {Object} EffectConflict
+ * A group of effects that can't be active together.
+ *
+ * @property {string[]} effects Effect ids, as written in `passives`/`actives`.
+ * @property {"cancel"|"strongest"|"allow"} resolution
+ * - "cancel":    The strongest effect loses the levels of the others. Ties remove all of them.
+ * - "strongest": Only the strongest effect is kept. Ties keep the first listed.
+ * - "allow":     Nothing happens, used to disable a conflict registered earlier.
+ * @property {("passives"|"actives")[]} [categories] Categories the rule covers. Both when missing.
+ */
+
+const RESOLUTIONS = ["cancel", "strongest", "allow"];
+const CATEGORIES = ["passives", "actives"];
+
+/**
+ * Checks a conflict definition from a registration.
+ *
+ * @param {EffectConflict} definition
+ * @returns {boolean}
+ */
+export function validateEffectConflict(definition) {
+    if (!definition || typeof definition !== "object") return false;
+    if (!Array.isArray(definition.effects) || definition.effects.length < 2) return false;
+    if (!definition.effects.every(effect => typeof effect === "string")) return false;
+    if (!RESOLUTIONS.includes(definition.resolution)) return false;
+
+    const { categories } = definition;
+    return categories === undefined || (Array.isArray(categories) && categories.every(c => CATEGORIES.includes(c)));
+}
+
+/**
+ * Applies every registered conflict to the effects of one category, in registration order.
+ * Modifies `effects` in place.
+ *
+ * @param {Object<string, number>} effects Effect levels, indexed by effect id.
+ * @param {"passives"|"actives"} category
+ */
+export function resolveEffectConflicts(effects, category) {
+    for (const conflict of Object.values(effectConflicts)) {
+        if (conflict.resolution === "allow") continue;
+        if (!(conflict.categories ?? CATEGORIES).includes(category)) continue;
+
+        const present = conflict.effects.filter(effect => effects[effect] > 0);
+        if (present.length < 2) continue;
+
+        // Stable sort, ties keep the group order
+        present.sort((a, b) => effects[b] - effects[a]);
+        const [strongest, ...others] = present;
+
+        let level = effects[strongest];
+        if (conflict.resolution === "cancel") {
+            level -= others.reduce((sum, effect) => sum + effects[effect], 0);
+        }
+
+        for (const effect of present) delete effects[effect];
+        if (level > 0) effects[strongest] = level;
+    }
+}
@@ -0,0 +1,166 @@
+import { world } from '@minecraft/server'
+import { eliteConfig, eliteAffixes } from './config.js'
+import { pickWeighted } from './affix_manager.js'
+import { requestStatsUpdate } from './stats_manager.js'
+import { refreshMobNameTag } from './mob_scaling.js'
+import { displayName } from './lang.js'
+
+const ELITE_TAG = "dorios:elite";
+const ELITE_PROPERTY = "dorios:eliteAffixes";
+
+/** Duration used for elite effects, long enough to last the mob's whole life. */
+const ELITE_EFFECT_DURATION = 20000000;
+
+/**
+ * Whether an entity spawned as an elite.
+ *
+ * @param {Entity} entity
+ * @returns {boolean}
+ */
+export function isElite(entity) {
+    return entity.hasTag(ELITE_TAG);
+}
+
+/**
+ * Returns the affix ids of an elite, skipping affixes that are no longer registered.
+ *
+ * @param {Entity} entity
+ * @returns {string[]}
+ */
+export function getEliteAffixes(entity) {
+    if (!isElite(entity)) return [];
+
+    const raw = entity.getDynamicProperty(ELITE_PROPERTY);
+    if (!raw) return [];
+
+    try {
+        return JSON.parse(raw).filter(id => eliteAffixes[id]);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Turns an entity into an elite with the given affixes.
+ * Applies the affix effects and writes the affix names to its name tag.
+ *
+ * @param {Entity} entity
+ * @param {string[]} affixIds Registered affix ids.
+ * @returns {boolean} Whether the entity became an elite.
+ */
+export function makeElite(entity, affixIds) {
+    const affixes = affixIds.filter(id => eliteAffixes[id]);
+    if (affixes.length === 0) return false;
+
+    entity.addTag(ELITE_TAG);
+    entity.setDynamicProperty(ELITE_PROPERTY, JSON.stringify(affixes));
+
+    for (const id of affixes) {
+        for (const [effect, level] of Object.entries(eliteAffixes[id].effects ?? {})) {
+            try {
+                entity.addEffect(effect, ELITE_EFFECT_DURATION, { amplifier: level - 1, showParticles: false });
+            } catch (e) {
+                console.warn(`[Dorios RPG Core] Error applying elite effect '${effect}':`, e);
+            }
+        }
+    }
+
+    refreshMobNameTag(entity);
+    requestStatsUpdate(entity);
+    return true;
+}
+
+/**
+ * Returns the name tag prefixes of an elite's affixes.
+ * Name tags only take plain text, so translated names fall back to the id.
+ *
+ * @param {Entity} entity
+ * @returns {string[]}
+ */
+export function getElitePrefixes(entity) {
+    return getEliteAffixes(entity).map(id => {
+        const name = eliteAffixes[id].name;
+        return typeof name === "string" ? name : DoriosAPI.utils.formatIdToText(id);
+    });
+}
+
+/**
+ * Rolls between `eliteConfig.minAffixes` and `eliteConfig.maxAffixes` different affixes.
+ *
+ * @returns {string[]}
+ */
+function rollEliteAffixes() {
+    const { minAffixes, maxAffixes } = eliteConfig;
+    const count = DoriosAPI.math.randomInterval(minAffixes, maxAffixes);
+    const available = Object.keys(eliteAffixes);
+    const rolled = [];
+
+    for (let i = 0; i < count; i++) {
+        const id = pickWeighted(available, id => eliteAffixes[id].weight ?? 1);
+        if (!id) break;
+
+        available.splice(available.indexOf(id), 1);
+        rolled.push(id);
+    }
+
+    return rolled;
+}
+
+/**
+ * Builds the stat sources of an elite's affixes, for `calculateAllStats`.
+ *
+ * @param {Entity} entity
+ * @returns {{ id: string, name: RawMessage, entry: Object }[]}
+ */
+export function getEliteSources(entity) {
+    return getEliteAffixes(entity).map(id => {
+        const { stats, actives, immunities, name } = eliteAffixes[id];
+        return { id, name: displayName(name, id), entry: { stats, actives, immunities } };
+    });
+}
+
+/**
+ * Returns the drop bonus of a dead entity. Non-elites get no bonus.
+ *
+ * @param {Entity} entity
+ * @returns {{ chanceMultiplier: number, extraRolls: number }}
+ */
+export function getEliteLootBonus(entity) {
+    if (!entity.isValid || !isElite(entity)) return { chanceMultiplier: 1, extraRolls: 0 };
+
+    let chanceMultiplier = eliteConfig.loot?.chanceMultiplier ?? 1;
+    let extraRolls = eliteConfig.loot?.extraRolls ?? 0;
+
+    for (const id of getEliteAffixes(entity)) {
+        const loot = eliteAffixes[id].loot;
+        chanceMultiplier *= loot?.chanceMultiplier ?? 1;
+        extraRolls += loot?.extraRolls ?? 0;
+    }
+
+    return { chanceMultiplier, extraRolls };
+}
+
+world.afterEvents.entitySpawn.subscribe(({ entity, cause }) => {
+    // Loaded entities already rolled when they first spawned
+    if (cause === "Loaded" || !entity.isValid) return;
+    if (Math.random() >= eliteConfig.chance) return;
+
+    const family = entity.getComponent("type_family");
+    if (!family || !eliteConfig.families.some(f => family.hasTypeFamily(f))) return;
+
+    makeElite(entity, rollEliteAffixes());
+});
+
+world.afterEvents.entityDie.subscribe(({ deadEntity }) => {
+    if (!deadEntity.isValid || !isElite(deadEntity)) return;
+
+    const { dimension, location } = deadEntity;
+    for (const id of getEliteAffixes(deadEntity)) {
+        const explosion = eliteAffixes[id].onDeath?.explosion;
+        if (!(explosion > 0)) continue;
+
+        dimension.createExplosion(location, explosion, {
+            breaksBlocks: eliteAffixes[id].onDeath.breaksBlocks ?? false
+        });
+    }
+});
@@ -0,0 +1,49 @@
+import { system, world } from '@minecraft/server'
+import { regenConfig } from './config.js'
+
+/**
+ * Tick when each player last took damage, indexed by player id.
+ * @type {Map<string, number>}
+ */
+const lastHurtTick = new Map();
+
+/**
+ * Whether a player took damage within the last `regenConfig.combatDuration` ticks.
+ *
+ * @param {Player} player
+ * @returns {boolean}
+ */
+export function isInCombat(player) {
+    const hurtTick = lastHurtTick.get(player.id);
+    return hurtTick !== undefined && system.currentTick - hurtTick < regenConfig.combatDuration;
+}
+
+/**
+ * Heals a player from the `healthRegen` stat (health per second, fractions allowed).
+ * The rate is multiplied by `regenConfig.combatMultiplier` while in combat.
+ * Runs every tick from the player loop.
+ *
+ * @param {Player} player
+ * @param {Object} stats Calculated stats of the player.
+ * @param {number} tick
+ */
+export function healthRegenTick(player, stats, tick) {
+    if (!(stats?.healthRegen > 0) || tick % regenConfig.interval !== 0) return;
+
+    const health = player.getComponent('health');
+    const max = Math.min(health?.effectiveMax ?? 0, stats.health ?? Infinity);
+    if (!health || health.currentValue <= 0 || health.currentValue >= max) return;
+
+    let amount = stats.healthRegen * regenConfig.interval / 20;
+    if (isInCombat(player)) amount *= regenConfig.combatMultiplier;
+    if (amount > 0) player.addHealth(Math.min(amount, max - health.currentValue));
+}
+
+world.afterEvents.entityHurt.subscribe(({ hurtEntity }) => {
+    if (hurtEntity.typeId !== 'minecraft:player') return;
+    lastHurtTick.set(hurtEntity.id, system.currentTick);
+});
+
+world.beforeEvents.playerLeave.subscribe(({ player }) => {
+    lastHurtTick.delete(player.id);
+});
@@ -0,0 +1,113 @@
+/**
+ * Helpers to build translated text.
+ *
+ * Player-facing strings are `RawMessage`s pointing to keys in RP/texts/*.lang,
+ * so each player sees them in their own language. Values are passed as
+ * parameters and replace the `%s` placeholders of the key in order.
+ *
+ * Registration names (items, sets, classes, affixes, stats) accept either
+ * plain text or a RawMessage such as `{ translate: "myaddon.set.ember" }`,
+ * letting addons ship their own translations in their resource packs.
+ */
+
+/**
+ * Vanilla translation keys of effect names, indexed by effect id.
+ * Effects missing here are shown with a name generated from the id.
+ */
+const EFFECT_KEYS = {
+    absorption: "potion.absorption",
+    bad_omen: "potion.badOmen",
+    blindness: "potion.blindness",
+    conduit_power: "potion.conduitPower",
+    darkness: "potion.darkness",
+    fire_resistance: "potion.fireResistance",
+    haste: "potion.digSpeed",
+    health_boost: "potion.healthBoost",
+    hunger: "potion.hunger",
+    instant_damage: "potion.harm",
+    instant_health: "potion.heal",
+    invisibility: "potion.invisibility",
+    jump_boost: "potion.jump",
+    levitation: "potion.levitation",
+    mining_fatigue: "potion.digSlowDown",
+    nausea: "potion.confusion",
+    night_vision: "potion.nightVision",
+    poison: "potion.poison",
+    regeneration: "potion.regeneration",
+    resistance: "potion.resistance",
+    saturation: "potion.saturation",
+    slow_falling: "potion.slowFalling",
+    slowness: "potion.moveSlowdown",
+    speed: "potion.moveSpeed",
+    strength: "potion.damageBoost",
+    village_hero: "potion.villageHero",
+    water_breathing: "potion.waterBreathing",
+    weakness: "potion.weakness",
+    wither: "potion.wither"
+};
+
+/**
+ * Converts a string or number into a RawMessage part. RawMessages are returned as is.
+ *
+ * @param {string|number|RawMessage} part
+ * @returns {RawMessage}
+ */
+export function toRawMessage(part) {
+    if (part && typeof part === "object") return part;
+    return { text: String(part ?? "") };
+}
+
+/**
+ * Builds a translated message.
+ *
+ * @param {string} key Translation key.
+ * @param {...(string|number|RawMessage)} params Values for the `%s` placeholders.
+ * @returns {RawMessage}
+ */
+export function translate(key, ...params) {
+    if (params.length === 0) return { translate: key };
+    return { translate: key, with: { rawtext: params.map(toRawMessage) } };
+}
+
+/**
+ * Joins several parts into a single message.
+ *
+ * @param {(string|number|RawMessage)[]} parts
+ * @param {string} [separator="\n"] Text placed between parts.
+ * @returns {RawMessage}
+ */
+export function joinMessages(parts, separator = "\n") {
+    const rawtext = [];
+
+    parts.forEach((part, i) => {
+        if (i > 0 && separator) rawtext.push({ text: separator });
+        rawtext.push(toRawMessage(part));
+    });
+
+    return { rawtext };
+}
+
+/**
+ * Returns the display name of a registration: its `name` when set
+ * (plain text or RawMessage), otherwise a name generated from the id.
+ *
+ * @param {string|RawMessage|undefined} name
+ * @param {string} id
+ * @returns {RawMessage}
+ */
+export function displayName(name, id) {
+    return toRawMessage(name ?? DoriosAPI.utils.formatIdToText(id));
+}
+
+/**
+ * Returns the translated name of an effect.
+ * Accepts ids with or without namespace and in any case ("Poison", "minecraft:poison").
+ *
+ * @param {string} effect
+ * @returns {RawMessage}
+ */
+export function effectName(effect) {
+    const id = effect.replace("minecraft:", "").toLowerCase();
+    const key = EFFECT_KEYS[id];
+    return key ? { translate: key } : displayName(undefined, id);
+}
@@ -0,0 +1,220 @@
+import { system, world } from '@minecraft/server'
+import { ActionFormData } from '@minecraft/server-ui'
+import { levelConfig, statTexts } from './config.js'
+import { requestStatsUpdate, getStatLabel, displayStats } from './stats_manager.js'
+
+/**
+ * @typedef {Object} LevelProgress
+ * @property {number} level Current level (starts at 1).
+ * @property {number} xp Experience collected towards the next level.
+ * @property {number} points Unspent stat points.
+ * @property {Object<string, number>} allocated Stat points spent per stat.
+ */
+
+const PROGRESS_PROPERTY = "dorios:levelProgress";
+
+/**
+ * Returns the experience required to go from `level` to `level + 1`.
+ *
+ * Curve types (`levelConfig.curve.type`):
+ * - "polynomial":  base × level^exponent (default)
+ * - "linear":      base + step × (level - 1)
+ * - "exponential": base × factor^(level - 1)
+ * - "table":       values[level - 1], the last value repeats
+ *
+ * @param {number} level
+ * @returns {number}
+ */
+export function getXpForLevel(level) {
+    const curve = levelConfig.curve;
+
+    switch (curve.type) {
+        case "linear":
+            return Math.floor(curve.base + (curve.step ?? 0) * (level - 1));
+        case "exponential":
+            return Math.floor(curve.base * Math.pow(curve.factor ?? 1.1, level - 1));
+        case "table": {
+            const values = curve.values ?? [];
+            return values[Math.min(level - 1, values.length - 1)] ?? Infinity;
+        }
+        default:
+            return Math.floor(curve.base * Math.pow(level, curve.exponent ?? 1.5));
+    }
+}
+
+/**
+ * Reads the level progress of a player.
+ *
+ * @param {Player} player
+ * @returns {LevelProgress}
+ */
+export function getLevelProgress(player) {
+    const raw = player.getDynamicProperty(PROGRESS_PROPERTY);
+
+    let progress = {};
+    try {
+        progress = (raw && JSON.parse(raw)) || {};
+    } catch {
+        // A malformed value counts as level 1, it's replaced on the next save
+    }
+
+    return {
+        level: progress.level ?? 1,
+        xp: progress.xp ?? 0,
+        points: progress.points ?? 0,
+        allocated: progress.allocated ?? {}
+    };
+}
+
+/**
+ * @param {Player} player
+ * @param {LevelProgress} progress
+ */
+function saveLevelProgress(player, progress) {
+    player.setDynamicProperty(PROGRESS_PROPERTY, JSON.stringify(progress));
+}
+
+/**
+ * Returns the stats granted by the player's level: fixed growth for every
+ * level above 1 plus the value of every allocated stat point.
+ *
+ * @param {Player} player
+ * @returns {{ level: number, stats: Object<string, number> }}
+ */
+export function getLevelStats(player) {
+    const { level, allocated } = getLevelProgress(player);
+    const stats = {};
+
+    for (const [stat, growth] of Object.entries(levelConfig.growthPerLevel)) {
+        stats[stat] = (stats[stat] ?? 0) + growth * (level - 1);
+    }
+
+    for (const [stat, points] of Object.entries(allocated)) {
+        const value = levelConfig.pointStats[stat];
+        if (value === undefined) continue;
+        stats[stat] = (stats[stat] ?? 0) + value * points;
+    }
+
+    return { level, stats };
+}
+
+/**
+ * Grants experience to a player, leveling up as many times as needed.
+ *
+ * Every level up grants `levelConfig.pointsPerLevel` stat points and sends
+ * `dorios:level_up` with { playerId, playerName, level, previousLevel, points }.
+ *
+ * @param {Player} player
+ * @param {number} amount Experience to add, ignored if not positive.
+ * @param {string} [reason] Why the experience was granted ("kill", "chest", "addon"...).
+ * @returns {boolean} Whether the player leveled up.
+ */
+export function addXp(player, amount, reason = "addon") {
+    if (!(amount > 0)) return false;
+
+    const progress = getLevelProgress(player);
+    if (progress.level >= levelConfig.maxLevel) return false;
+
+    const previousLevel = progress.level;
+    progress.xp += amount;
+
+    while (progress.level < levelConfig.maxLevel && progress.xp >= getXpForLevel(progress.level)) {
+        progress.xp -= getXpForLevel(progress.level);
+        progress.level++;
+        progress.points += levelConfig.pointsPerLevel;
+    }
+
+    if (progress.level >= levelConfig.maxLevel) progress.xp = 0;
+
+    saveLevelProgress(player, progress);
+
+    if (progress.level === previousLevel) return false;
+
+    player.sendMessage(statTexts.level.levelUp(progress.level));
+    requestStatsUpdate(player);
+
+    system.sendScriptEvent("dorios:level_up", JSON.stringify({
+        playerId: player.id,
+        playerName: player.name,
+        level: progress.level,
+        previousLevel,
+        points: progress.points,
+        reason
+    }));
+
+    return true;
+}
+
+/**
+ * Spends one stat point on a stat listed in `levelConfig.pointStats`.
+ *
+ * @param {Player} player
+ * @param {string} stat
+ * @returns {boolean} Whether the point was spent.
+ */
+export function allocateStatPoint(player, stat) {
+    if (levelConfig.pointStats[stat] === undefined) return false;
+
+    const progress = getLevelProgress(player);
+    if (progress.points <= 0) return false;
+
+    progress.points--;
+    progress.allocated[stat] = (progress.allocated[stat] ?? 0) + 1;
+
+    saveLevelProgress(player, progress);
+    requestStatsUpdate(player);
+    return true;
+}
+
+/**
+ * Shows the stat point allocation menu.
+ *
+ * @param {Player} player
+ */
+export function displayStatPoints(player) {
+    const texts = statTexts.level;
+    const progress = getLevelProgress(player);
+    const stats = Object.entries(levelConfig.pointStats);
+
+    const form = new ActionFormData()
+        .title(texts.pointsTitle)
+        .body(texts.pointsBody(progress.points));
+
+    for (const [stat, value] of stats) {
+        form.button(texts.pointButton(getStatLabel(stat), value, progress.allocated[stat] ?? 0));
+    }
+    form.button(statTexts.breakdown.back);
+
+    form.show(player).then(res => {
+        if (res.canceled) return;
+        if (res.selection === stats.length) return displayStats(player);
+
+        const [stat] = stats[res.selection];
+        if (!allocateStatPoint(player, stat)) {
+            player.sendMessage(texts.noPoints);
+        }
+        displayStatPoints(player);
+    });
+}
+
+/**
+ * Returns the experience granted for killing an entity.
+ *
+ * @param {Entity} entity
+ * @returns {number}
+ */
+function getKillXp(entity) {
+    const { kills } = levelConfig.xpSources;
+    if (kills[entity.typeId] !== undefined) return kills[entity.typeId];
+
+    // The entity may already be gone when the death event runs
+    const isMonster = entity.isValid && entity.getComponent("type_family")?.hasTypeFamily("monster");
+    return isMonster ? kills.monster : kills.default;
+}
+
+world.afterEvents.entityDie.subscribe(({ deadEntity, damageSource }) => {
+    const player = damageSource?.damagingEntity;
+    if (player?.typeId !== "minecraft:player" || deadEntity.typeId === "minecraft:player") return;
+
+    addXp(player, getKillXp(deadEntity), "kill");
+});
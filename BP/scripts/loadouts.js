@@ -0,0 +1,329 @@
+import { ItemStack } from '@minecraft/server'
+import { ActionFormData, ModalFormData } from '@minecraft/server-ui'
+import { data, slots, loadoutConfig, statTexts } from './config.js'
+import { displayStats } from './stats_manager.js'
+import { getItemAffixes, setItemAffixes, getTrinketAffixes } from './affix_manager.js'
+import { getEquippedTrinkets, getTrinketEquipError, forceEquipTrinket, unequipTrinket } from './trinkets_inv.js'
+import { displayName } from './lang.js'
+
+/**
+ * @typedef {Object} Loadout
+ * @property {Object<string, string>} trinkets Trinket id per slot. Slots left out stay empty.
+ */
+
+/**
+ * @typedef {Object} StoredTrinket
+ * A trinket taken off by a loadout swap, kept with its rolled affixes.
+ * @property {string} id Item type id.
+ * @property {Object} [affixes]
+ */
+
+const LOADOUTS_PROPERTY = "dorios:loadouts";
+const STORAGE_PROPERTY = "dorios:loadoutStorage";
+
+/**
+ * @param {Player} player
+ * @returns {Object<string, Loadout>} Saved loadouts, indexed by name.
+ */
+export function getLoadouts(player) {
+    const raw = player.getDynamicProperty(LOADOUTS_PROPERTY);
+    if (!raw) return {};
+
+    try {
+        const loadouts = JSON.parse(raw);
+        return loadouts && typeof loadouts === "object" && !Array.isArray(loadouts) ? loadouts : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * @param {Player} player
+ * @param {Object<string, Loadout>} loadouts
+ */
+function saveLoadouts(player, loadouts) {
+    player.setDynamicProperty(
+        LOADOUTS_PROPERTY,
+        Object.keys(loadouts).length > 0 ? JSON.stringify(loadouts) : undefined
+    );
+}
+
+/**
+ * @param {Player} player
+ * @returns {StoredTrinket[]}
+ */
+export function getLoadoutStorage(player) {
+    const raw = player.getDynamicProperty(STORAGE_PROPERTY);
+    if (!raw) return [];
+
+    try {
+        const storage = JSON.parse(raw);
+        return Array.isArray(storage) ? storage : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * @param {Player} player
+ * @param {StoredTrinket[]} storage
+ */
+function saveLoadoutStorage(player, storage) {
+    player.setDynamicProperty(STORAGE_PROPERTY, storage.length > 0 ? JSON.stringify(storage) : undefined);
+}
+
+/**
+ * Saves the trinkets a player has equipped under a name, replacing any loadout with that name.
+ *
+ * @param {Player} player
+ * @param {string} name
+ * @returns {boolean} Whether it was saved. Fails when the name is empty or the limit is reached.
+ */
+export function saveLoadout(player, name) {
+    name = name.trim().slice(0, loadoutConfig.maxNameLength);
+    if (!name) return false;
+
+    const loadouts = getLoadouts(player);
+    if (!loadouts[name] && Object.keys(loadouts).length >= loadoutConfig.maxLoadouts) return false;
+
+    loadouts[name] = { trinkets: getEquippedTrinkets(player) };
+    saveLoadouts(player, loadouts);
+    return true;
+}
+
+/**
+ * @param {Player} player
+ * @param {string} name
+ * @returns {boolean} Whether the loadout existed.
+ */
+export function deleteLoadout(player, name) {
+    const loadouts = getLoadouts(player);
+    if (!loadouts[name]) return false;
+
+    delete loadouts[name];
+    saveLoadouts(player, loadouts);
+    return true;
+}
+
+/**
+ * Takes a trinket from the loadout storage or, failing that, the player's inventory.
+ *
+ * @param {Player} player
+ * @param {StoredTrinket[]} storage Modified in place.
+ * @param {string} id
+ * @returns {{ affixes?: Object }|undefined} The taken trinket, or undefined if there's none.
+ */
+function takeTrinket(player, storage, id) {
+    const stored = storage.findIndex(entry => entry.id === id);
+    if (stored !== -1) return storage.splice(stored, 1)[0];
+
+    const inv = player.getComponent('inventory')?.container;
+    if (!inv) return;
+
+    for (let i = 0; i < inv.size; i++) {
+        const item = inv.getItem(i);
+        if (item?.typeId !== id) continue;
+
+        const affixes = getItemAffixes(item);
+        if (item.amount > 1) {
+            item.amount--;
+            inv.setItem(i, item);
+        } else {
+            inv.setItem(i);
+        }
+        return { affixes };
+    }
+}
+
+/**
+ * Swaps a player's trinkets to a saved loadout.
+ *
+ * Every trinket goes through the same checks as equipping it by hand. Trinkets
+ * are taken from the loadout storage first and then from the inventory, and
+ * the ones taken off are kept in the loadout storage. A slot keeps its current
+ * trinket when the loadout's one is missing or can't be equipped.
+ *
+ * @param {Player} player
+ * @param {string} name
+ * @returns {{ missing: string[], restricted: string[] }|undefined} Trinkets that couldn't be equipped,
+ * or undefined if the loadout doesn't exist.
+ */
+export function equipLoadout(player, name) {
+    const loadout = getLoadouts(player)[name];
+    if (!loadout) return;
+
+    const storage = getLoadoutStorage(player);
+    const equipped = getEquippedTrinkets(player);
+    const missing = [];
+    const restricted = [];
+
+    for (const slot of Object.keys(slots)) {
+        const current = equipped[slot];
+        let target = loadout.trinkets?.[slot];
+        if (current === target) continue;
+
+        // Trinkets unregistered since the loadout was saved count as an empty slot
+        if (target && !data[target]) target = undefined;
+
+        let taken;
+        if (target) {
+            if (getTrinketEquipError(player, target)) {
+                restricted.push(target);
+                continue;
+            }
+
+            taken = takeTrinket(player, storage, target);
+            if (!taken) {
+                missing.push(target);
+                continue;
+            }
+        }
+
+        if (current) {
+            storage.push({ id: current, affixes: getTrinketAffixes(player)[current] });
+            unequipTrinket(player, current, false);
+        }
+        if (target) forceEquipTrinket(player, target, taken.affixes);
+    }
+
+    saveLoadoutStorage(player, storage);
+    return { missing, restricted };
+}
+
+/**
+ * Gives every trinket in the loadout storage back to the player.
+ *
+ * @param {Player} player
+ * @returns {number} Amount of trinkets returned.
+ */
+export function withdrawLoadoutStorage(player) {
+    const storage = getLoadoutStorage(player);
+    const inv = player.getComponent('inventory')?.container;
+    const kept = [];
+
+    for (const entry of storage) {
+        let item;
+        try {
+            item = setItemAffixes(new ItemStack(entry.id), entry.affixes);
+        } catch (e) {
+            // Items from a removed addon stay stored until it's back
+            console.warn(`[Dorios RPG Core] Couldn't return stored trinket '${entry.id}':`, e);
+            kept.push(entry);
+            continue;
+        }
+
+        if (inv && inv.emptySlotsCount > 0) {
+            inv.addItem(item);
+        } else {
+            player.dimension.spawnItem(item, player.location);
+        }
+    }
+
+    saveLoadoutStorage(player, kept);
+    return storage.length - kept.length;
+}
+
+/**
+ * Shows the saved loadouts with options to save the current one and withdraw stored trinkets.
+ *
+ * @param {Player} player
+ */
+export function displayLoadouts(player) {
+    const texts = statTexts.loadouts;
+    const loadouts = getLoadouts(player);
+    const names = Object.keys(loadouts);
+    const stored = getLoadoutStorage(player).length;
+
+    const form = new ActionFormData()
+        .title(texts.title)
+        .body(texts.body(names.length, loadoutConfig.maxLoadouts, stored));
+
+    for (const name of names) {
+        form.button(texts.button(name, Object.keys(loadouts[name]?.trinkets ?? {}).length));
+    }
+    form.button(texts.save);
+    form.button(texts.withdraw(stored));
+    form.button(statTexts.breakdown.back);
+
+    form.show(player).then(res => {
+        if (res.canceled) return;
+
+        const selection = res.selection;
+        if (selection < names.length) return displayLoadoutOptions(player, names[selection]);
+        if (selection === names.length) return displaySaveLoadout(player);
+        if (selection === names.length + 1) {
+            player.sendMessage(texts.withdrawn(withdrawLoadoutStorage(player)));
+            return;
+        }
+        displayStats(player);
+    });
+}
+
+/**
+ * Shows what to do with a saved loadout: equip, overwrite or delete it.
+ *
+ * @param {Player} player
+ * @param {string} name
+ */
+function displayLoadoutOptions(player, name) {
+    const texts = statTexts.loadouts;
+    const trinkets = Object.values(getLoadouts(player)[name]?.trinkets ?? {});
+
+    const form = new ActionFormData()
+        .title(name)
+        .body(texts.contents(trinkets.map(id => displayName(data[id]?.name, id))))
+        .button(texts.equip)
+        .button(texts.overwrite)
+        .button(texts.delete)
+        .button(statTexts.breakdown.back);
+
+    form.show(player).then(res => {
+        if (res.canceled) return;
+
+        switch (res.selection) {
+            case 0: {
+                const result = equipLoadout(player, name);
+                if (!result) return;
+
+                player.sendMessage(texts.equipped(name));
+                if (result.missing.length > 0) player.sendMessage(texts.missing(result.missing.join(", ")));
+                if (result.restricted.length > 0) player.sendMessage(texts.restricted(result.restricted.join(", ")));
+                break;
+            }
+            case 1:
+                saveLoadout(player, name);
+                player.sendMessage(texts.saved(name));
+                break;
+            case 2:
+                deleteLoadout(player, name);
+                player.sendMessage(texts.deleted(name));
+                break;
+            default:
+                displayLoadouts(player);
+        }
+    });
+}
+
+/**
+ * Asks for a name and saves the current trinkets under it.
+ *
+ * @param {Player} player
+ */
+function displaySaveLoadout(player) {
+    const texts = statTexts.loadouts;
+
+    const form = new ModalFormData()
+        .title(texts.save)
+        .textField(texts.nameField, texts.namePlaceholder);
+
+    form.show(player).then(res => {
+        if (res.canceled) return displayLoadouts(player);
+
+        const name = String(res.formValues?.[0] ?? "");
+        if (saveLoadout(player, name)) {
+            player.sendMessage(texts.saved(name.trim().slice(0, loadoutConfig.maxNameLength)));
+        } else {
+            player.sendMessage(texts.saveFailed(loadoutConfig.maxLoadouts));
+        }
+    });
+}
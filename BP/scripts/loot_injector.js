@@ -1,4 +1,9 @@
 import { world, system, ItemStack, Block, Player, Entity } from "@minecraft/server";
+import { rollItemAffixes } from "./affix_manager.js";
+import { addXp } from "./leveling.js";
+import { levelConfig } from "./config.js";
+import { getEliteLootBonus } from "./elite_mobs.js";
+import { getMobLevelLootMultiplier } from "./mob_scaling.js";
 
 export class ChestLootInjector {
     static PLACED_CHESTS_KEY = "dorios:placed_chests";
@@ -260,6 +265,20 @@ export class ChestLootInjector {
         console.warn("[Dorios RPG Core] All chest tracking data has been fully reset.");
     }
 
+    /**
+     * Clears the placed and opened chest data of the region containing a position,
+     * so its natural chests can receive loot again.
+     *
+     * @param {{x:number,z:number}} pos Any position inside the region.
+     * @returns {string} The cleared region key ("rx,rz").
+     */
+    static resetRegionTracking(pos) {
+        world.setDynamicProperty(this.regionPropertyKey(this.PLACED_CHESTS_KEY, pos), undefined);
+        world.setDynamicProperty(this.regionPropertyKey(this.OPENED_CHESTS_KEY, pos), undefined);
+
+        return this.regionKey(pos);
+    }
+
     /**
      * Detects nearby structures using a single area scan.
      *
@@ -462,7 +481,10 @@ export class ChestLootInjector {
             // Remove slot from pool so it can't be reused
             pool.splice(index, 1);
 
-            container.setItem(slot, new ItemStack(itemId, 1));
+            const itemStack = new ItemStack(itemId, 1);
+            rollItemAffixes(itemStack);
+
+            container.setItem(slot, itemStack);
         }
     }
 
@@ -470,10 +492,12 @@ export class ChestLootInjector {
      * Resolves, injects loot, and finalizes a chest interaction.
      *
      * This is the single entry point for chest loot injection.
+     * The player opening a chest for the first time is granted chest experience.
      *
      * @param {Block} block Chest block
+     * @param {Player} [player] Player that opened the chest
      */
-    static resolve(block) {
+    static resolve(block, player) {
         if (!this.canInjectChest(block)) return;
 
         const dimension = block.dimension;
@@ -501,6 +525,8 @@ export class ChestLootInjector {
         // Mark chest as opened
         this.markChestOpened(block);
 
+        if (player) addXp(player, levelConfig.xpSources.chestLoot, "chest");
+
         if (finalLoot.size === 0) return;
 
         // Inject loot
@@ -595,9 +621,9 @@ export class ChestLootInjector {
     }
 }
 
-world.afterEvents.playerInteractWithBlock.subscribe(({ block }) => {
+world.afterEvents.playerInteractWithBlock.subscribe(({ block, player }) => {
     if (block.typeId !== "minecraft:chest") return;
-    ChestLootInjector.resolve(block);
+    ChestLootInjector.resolve(block, player);
 });
 
 world.afterEvents.playerPlaceBlock.subscribe(({ block }) => {
@@ -687,7 +713,7 @@ export class MobLootInjector {
      * This method:
      * - Looks up drop definitions using the entity's `typeId`
      * - Evaluates optional conditions (e.g. dimension restrictions)
-     * - Applies probabilistic drop chances
+     * - Applies probabilistic drop chances, boosted by the mob level and rolled again for elites
      * - Attempts to spawn drops at the dead entity's location
      * - Falls back to spawning at the player location if the entity context fails
      *
@@ -705,16 +731,24 @@ export class MobLootInjector {
         const drops = this.entityDrops[deadEntity.typeId];
         if (!drops) return;
 
+        const { chanceMultiplier: eliteMultiplier, extraRolls } = getEliteLootBonus(deadEntity);
+        const chanceMultiplier = eliteMultiplier * getMobLevelLootMultiplier(deadEntity);
+
         drops.forEach(drop => {
             const conditions = drop.conditions
             if (conditions) {
                 if (conditions.dimension && conditions.dimension != deadEntity?.dimension?.id) return
             };
-            if (Math.random() <= drop.chance) {
+            for (let roll = 0; roll <= extraRolls; roll++) {
+                if (Math.random() > drop.chance * chanceMultiplier) continue;
+
+                const itemStack = new ItemStack(drop.item, drop.amount);
+                rollItemAffixes(itemStack);
+
                 try {
-                    deadEntity.dimension.spawnItem(new ItemStack(drop.item, drop.amount), deadEntity.location);
+                    deadEntity.dimension.spawnItem(itemStack, deadEntity.location);
                 } catch {
-                    player.dimension.spawnItem(new ItemStack(drop.item, drop.amount), player.location);
+                    player.dimension.spawnItem(itemStack, player.location);
                 }
             }
         });
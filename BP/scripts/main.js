@@ -1,8 +1,15 @@
 import 'DoriosAPI/index.js'
 
 import 'stats_manager.js'
+import 'buffs_manager.js'
+import 'affix_manager.js'
+import 'leveling.js'
+import 'classes.js'
+import 'elite_mobs.js'
+import 'mob_scaling.js'
 import 'update_stats.js'
 import 'active_abilities.js'
 import 'loot_injector.js'
+import 'commands.js'
 import 'insight_registry_injector.generated.js'
 
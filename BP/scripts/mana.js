@@ -0,0 +1,127 @@
+import { world } from '@minecraft/server'
+import { manaConfig, manaBarFrames } from './config.js'
+import { getStatCategory } from './stats_manager.js'
+
+/**
+ * Current mana of each player is kept in a dynamic property, so fractional
+ * regeneration isn't lost. The `dorios:mana` scoreboard mirrors it (rounded
+ * down) for command based packs, but writing to it has no effect.
+ */
+const MANA_PROPERTY = "dorios:mana";
+const MANA_OBJECTIVE = "dorios:mana";
+
+/**
+ * @param {Player} player
+ * @returns {number} Maximum mana, from the `mana` stat.
+ */
+export function getMaxMana(player) {
+    return Math.max(0, getStatCategory(player, 'stats')?.mana ?? 0);
+}
+
+/**
+ * Returns the current mana of a player. Players without saved mana start full.
+ *
+ * @param {Player} player
+ * @returns {number}
+ */
+export function getMana(player) {
+    const max = getMaxMana(player);
+    const mana = player.getDynamicProperty(MANA_PROPERTY);
+    return typeof mana === "number" && isFinite(mana) ? Math.min(Math.max(mana, 0), max) : max;
+}
+
+/**
+ * Sets the current mana of a player, clamped between 0 and its maximum, and redraws the bar.
+ *
+ * @param {Player} player
+ * @param {number} value
+ * @returns {number} The mana after clamping.
+ */
+export function setMana(player, value) {
+    const mana = Math.min(Math.max(value, 0), getMaxMana(player));
+    player.setDynamicProperty(MANA_PROPERTY, mana);
+
+    try {
+        world.scoreboard.getObjective(MANA_OBJECTIVE)?.setScore(player, Math.floor(mana));
+    } catch (err) {
+        console.warn(`[Dorios RPG Core] Couldn't mirror mana of '${player.name}' to the scoreboard:`, err);
+    }
+
+    drawManaBar(player, mana);
+    return mana;
+}
+
+/**
+ * Spends mana if the player has enough. Nothing is spent otherwise.
+ *
+ * @param {Player} player
+ * @param {number} amount
+ * @returns {boolean} Whether the mana was spent.
+ */
+export function consumeMana(player, amount) {
+    if (!(amount >= 0)) return false;
+
+    const mana = getMana(player);
+    if (mana < amount) return false;
+
+    setMana(player, mana - amount);
+    return true;
+}
+
+/**
+ * Restores mana, up to the player's maximum.
+ *
+ * @param {Player} player
+ * @param {number} amount
+ * @returns {number} Mana actually restored.
+ */
+export function restoreMana(player, amount) {
+    if (!(amount > 0)) return 0;
+
+    const mana = getMana(player);
+    return setMana(player, mana + amount) - mana;
+}
+
+/**
+ * Regenerates mana from the `manaRegen` stat (per second) and keeps the bar on screen.
+ * Runs every tick from the player loop.
+ *
+ * @param {Player} player
+ * @param {Object} stats Calculated stats of the player.
+ * @param {number} tick
+ */
+export function manaTick(player, stats, tick) {
+    if (!stats || tick % manaConfig.regenInterval !== 0) return;
+
+    const mana = getMana(player);
+    const max = getMaxMana(player);
+    const regen = (stats.manaRegen ?? 0) * manaConfig.regenInterval / 20;
+
+    if (regen > 0 && mana < max) {
+        setMana(player, mana + regen);
+    } else if (tick % manaConfig.hudInterval === 0) {
+        // The action bar fades on its own, so it's redrawn even without changes
+        drawManaBar(player, mana);
+    }
+}
+
+/**
+ * Shows the mana bar in the action bar. Hidden in creative and spectator,
+ * and while the player has no mana at all.
+ *
+ * @param {Player} player
+ * @param {number} mana
+ */
+function drawManaBar(player, mana) {
+    if (!manaConfig.showBar || !player.isValid) return;
+
+    const max = getMaxMana(player);
+    if (!(max > 0)) return;
+
+    const gameMode = player.getGameMode().toLowerCase();
+    if (gameMode === "creative" || gameMode === "spectator") return;
+
+    const frame = Math.round((mana / max) * (manaBarFrames.length - 1));
+    const bar = manaBarFrames[Math.min(Math.max(frame, 0), manaBarFrames.length - 1)];
+    player.onScreenDisplay.setActionBar(`${" ".repeat(manaConfig.barOffset)}${bar}`);
+}
@@ -0,0 +1,145 @@
+import { system, world } from '@minecraft/server'
+import { mobScaling, eliteConfig, statTexts } from './config.js'
+import { getElitePrefixes } from './elite_mobs.js'
+import { requestStatsUpdate } from './stats_manager.js'
+
+const LEVEL_PROPERTY = "dorios:mobLevel";
+
+/** Max health added by each health boost level. */
+const HEALTH_PER_BOOST_LEVEL = 4;
+
+/**
+ * Evaluates a scaling curve: `levels × (amount / step)^exponent`.
+ *
+ * @param {{ step: number, levels: number, exponent?: number }|undefined} curve
+ * @param {number} amount Blocks travelled or descended.
+ * @returns {number}
+ */
+function evaluateCurve(curve, amount) {
+    if (!curve || !(curve.step > 0) || amount <= 0) return 0;
+    return curve.levels * Math.pow(amount / curve.step, curve.exponent ?? 1);
+}
+
+/**
+ * Calculates the level a mob spawning at a location would have.
+ *
+ * @param {Dimension} dimension
+ * @param {Vector3} location
+ * @returns {number}
+ */
+export function calculateMobLevel(dimension, location) {
+    const spawn = world.getDefaultSpawnLocation();
+    const distance = Math.hypot(location.x - spawn.x, location.z - spawn.z);
+    const depth = (mobScaling.depth?.startY ?? 0) - location.y;
+
+    const level = evaluateCurve(mobScaling.distance, distance)
+        + evaluateCurve(mobScaling.depth, depth)
+        + (mobScaling.dimensions?.[dimension.id] ?? 0);
+
+    return Math.max(0, Math.min(mobScaling.maxLevel, Math.floor(level)));
+}
+
+/**
+ * Returns the level of a mob, 0 for unscaled entities.
+ *
+ * @param {Entity} entity
+ * @returns {number}
+ */
+export function getMobLevel(entity) {
+    if (entity.typeId === "minecraft:player") return 0;
+    return entity.getDynamicProperty(LEVEL_PROPERTY) ?? 0;
+}
+
+/**
+ * Builds the stat source of a mob's level, for `calculateAllStats`.
+ * Health is applied separately through `applyMobHealth`.
+ *
+ * @param {Entity} entity
+ * @returns {{ level: number, entry: Object }|undefined}
+ */
+export function getMobLevelSource(entity) {
+    const level = getMobLevel(entity);
+    if (level <= 0) return;
+
+    const stats = {};
+    for (const [stat, value] of Object.entries(mobScaling.perLevel)) {
+        if (stat === "health") continue;
+        stats[stat] = value * level;
+    }
+
+    return { level, entry: { stats } };
+}
+
+/**
+ * Returns the drop chance multiplier of a mob's level.
+ *
+ * @param {Entity} entity
+ * @returns {number}
+ */
+export function getMobLevelLootMultiplier(entity) {
+    if (!entity.isValid) return 1;
+    return 1 + getMobLevel(entity) * (mobScaling.loot?.chancePerLevel ?? 0);
+}
+
+/**
+ * Writes the level and elite affixes of a mob to its name tag, each only
+ * when enabled with `nameTag` in `mobScaling` and `eliteConfig`.
+ *
+ * @param {Entity} entity
+ */
+export function refreshMobNameTag(entity) {
+    const level = mobScaling.nameTag ? getMobLevel(entity) : 0;
+    const prefixes = eliteConfig.nameTag ? getElitePrefixes(entity) : [];
+    if (level <= 0 && prefixes.length === 0) return;
+
+    entity.nameTag = statTexts.mobs.nameTag(level, prefixes, DoriosAPI.utils.formatIdToText(entity.typeId));
+}
+
+/**
+ * Raises a mob's max health by `perLevel.health` percent per level and heals it to full.
+ *
+ * @param {Entity} entity
+ * @param {number} level
+ */
+function applyMobHealth(entity, level) {
+    const health = entity.getComponent("health");
+    const percent = mobScaling.perLevel.health ?? 0;
+    if (!health || percent <= 0) return;
+
+    const bonus = health.effectiveMax * (percent / 100) * level;
+    const boostLevels = Math.min(256, Math.floor(bonus / HEALTH_PER_BOOST_LEVEL));
+    if (boostLevels <= 0) return;
+
+    entity.addEffect("health_boost", 20000000, { amplifier: boostLevels - 1, showParticles: false });
+    // The new max applies after the effect is added
+    system.run(() => {
+        if (entity.isValid) entity.getComponent("health")?.resetToMaxValue();
+    });
+}
+
+/**
+ * Gives a mob its level from where it spawned.
+ *
+ * @param {Entity} entity
+ * @returns {number} The assigned level.
+ */
+export function scaleMob(entity) {
+    const level = calculateMobLevel(entity.dimension, entity.location);
+    if (level <= 0) return 0;
+
+    entity.setDynamicProperty(LEVEL_PROPERTY, level);
+    applyMobHealth(entity, level);
+    refreshMobNameTag(entity);
+    requestStatsUpdate(entity);
+    return level;
+}
+
+world.afterEvents.entitySpawn.subscribe(({ entity, cause }) => {
+    // Loaded entities keep the level they spawned with
+    if (cause === "Loaded" || !entity.isValid) return;
+
+    const family = entity.getComponent("type_family");
+    if (!family || !mobScaling.families.some(f => family.hasTypeFamily(f))) return;
+
+    scaleMob(entity);
+});
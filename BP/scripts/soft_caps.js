@@ -0,0 +1,84 @@
+/**
+ * @typedef {Object} SoftCap
+ * Diminishing returns applied to a stat above a threshold, before `min`/`max`.
+ *
+ * @property {"linear"|"asymptotic"|"piecewise"} curve
+ * @property {number} [at] Value where the soft cap starts ("linear" and "asymptotic").
+ * @property {number} [rate] Fraction of every point above `at` that counts ("linear", default 0.5).
+ * @property {number} [limit] Value approached but never reached ("asymptotic").
+ * @property {{ at: number, rate: number }[]} [steps] Rates that apply from each
+ * threshold up to the next one ("piecewise").
+ */
+
+/**
+ * Curves by name. Each receives a value above the start of the cap.
+ */
+const curves = {
+    // Every point above `at` counts as `rate`
+    linear: (value, { at, rate = 0.5 }) => at + (value - at) * rate,
+
+    // Starts at full rate and flattens towards `limit`
+    asymptotic: (value, { at, limit }) => {
+        const room = limit - at;
+        return at + room * (1 - Math.exp(-(value - at) / room));
+    },
+
+    // Each step reduces the points between its threshold and the next one
+    piecewise: (value, { steps }) => {
+        let result = steps[0].at;
+
+        steps.forEach((step, i) => {
+            const end = Math.min(value, steps[i + 1]?.at ?? Infinity);
+            if (end > step.at) result += (end - step.at) * step.rate;
+        });
+
+        return result;
+    }
+};
+
+/**
+ * Returns the value where a soft cap starts reducing gains.
+ *
+ * @param {SoftCap} softCap
+ * @returns {number}
+ */
+export function getSoftCapStart(softCap) {
+    return softCap.curve === "piecewise" ? softCap.steps[0].at : softCap.at;
+}
+
+/**
+ * Applies a soft cap to a stat value. Values at or below the start are unchanged.
+ *
+ * @param {number} value
+ * @param {SoftCap|undefined} softCap
+ * @returns {number}
+ */
+export function applySoftCap(value, softCap) {
+    if (!softCap || value <= getSoftCapStart(softCap)) return value;
+    return curves[softCap.curve](value, softCap);
+}
+
+/**
+ * Checks a soft cap definition, sorting piecewise steps by threshold.
+ *
+ * @param {SoftCap} softCap
+ * @returns {boolean} Whether the soft cap can be used.
+ */
+export function validateSoftCap(softCap) {
+    const isNumber = value => typeof value === "number" && isFinite(value);
+
+    switch (softCap?.curve) {
+        case "linear":
+            return isNumber(softCap.at) && (softCap.rate === undefined || (isNumber(softCap.rate) && softCap.rate >= 0));
+        case "asymptotic":
+            return isNumber(softCap.at) && isNumber(softCap.limit) && softCap.limit > softCap.at;
+        case "piecewise":
+            if (!Array.isArray(softCap.steps) || softCap.steps.length === 0) return false;
+            if (!softCap.steps.every(step => isNumber(step?.at) && isNumber(step.rate) && step.rate >= 0)) return false;
+
+            softCap.steps.sort((a, b) => a.at - b.at);
+            return true;
+        default:
+            return false;
+    }
+}
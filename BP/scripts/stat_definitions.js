@@ -0,0 +1,188 @@
+import { system, world } from '@minecraft/server'
+import { statsConfig, statTexts } from './config.js'
+import { registerHitHandler, removeHitHandler } from './active_abilities.js'
+import { requestStatsUpdate, clearEntityStats } from './stats_manager.js'
+import { translate } from './lang.js'
+import { validateSoftCap } from './soft_caps.js'
+
+/**
+ * @typedef {Object} StatHandler
+ * JSON-safe description of what a custom stat does.
+ * @property {"effect"|"script_event"|"command"} type
+ * @property {string} [effect] Effect id for "effect" handlers.
+ * @property {number} [duration] Effect duration in ticks (default 100).
+ * @property {number} [amplifier] Effect amplifier. Defaults to `value - 1`.
+ * @property {string} [id] Script event id for "script_event" handlers.
+ * @property {string} [command] Command for "command" handlers. `{value}` is replaced with the stat value.
+ * @property {number} [chance] Percent chance to trigger (default 100).
+ * @property {number} [interval] Ticks between runs for tick handlers (default 20).
+ */
+
+/**
+ * @typedef {Object} StatDefinition
+ * @property {number} [default=0]
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {number} [scale]
+ * @property {SoftCap} [softCap] Diminishing returns above a threshold, see soft_caps.js.
+ * @property {string|RawMessage} [label] Display name, generated from the id when missing.
+ * @property {string|{ translate: string }} [format] Display template, `{value}` is replaced with the stat value.
+ * A translation key gets the value as its only parameter (`%s`).
+ * @property {StatHandler} [onHit] Runs when the entity hits another entity.
+ * @property {StatHandler} [onTick] Runs periodically on the entity itself.
+ */
+
+/** Ids of stats registered by addons, built-in stats can't be redefined. */
+const customStatIds = new Set();
+
+/**
+ * Tick handlers of custom stats, indexed by stat id.
+ * Run from the player update loop in update_stats.js.
+ *
+ * @type {Object<string, { interval: number, run: (player: Player, value: number) => void }>}
+ */
+export const statTickHandlers = {};
+
+/**
+ * Registers a new stat that is calculated, displayed and dispatched like a built-in one.
+ * Built-in stats only accept `{ softCap }`, which replaces their soft cap (`null` removes it).
+ *
+ * @param {string} id Stat identifier (e.g. "spellPower").
+ * @param {StatDefinition} definition
+ * @returns {boolean} Whether the stat was registered.
+ */
+export function registerStatDefinition(id, definition) {
+    if (statsConfig[id] && !customStatIds.has(id)) {
+        if (Object.keys(definition).some(key => key !== "softCap")) {
+            console.warn(`[Dorios RPG Core] Stat '${id}' is built-in, only its softCap can be changed.`);
+            return false;
+        }
+        return setBuiltInSoftCap(id, definition.softCap);
+    }
+
+    const { default: base = 0, min, max, scale, softCap, label, format, onHit, onTick } = definition;
+    if (typeof base !== "number") {
+        console.warn(`[Dorios RPG Core] Stat '${id}' has an invalid default value:`, base);
+        return false;
+    }
+    if (softCap !== undefined && !validateSoftCap(softCap)) {
+        console.warn(`[Dorios RPG Core] Stat '${id}' has an invalid soft cap:`, JSON.stringify(softCap));
+        return false;
+    }
+
+    customStatIds.add(id);
+    statsConfig[id] = { default: base, min, max, scale, softCap, label };
+
+    delete statTexts.formats[id];
+    if (typeof format === "string") {
+        statTexts.formats[id] = value => format.replaceAll("{value}", value);
+    } else if (format?.translate) {
+        statTexts.formats[id] = value => translate(format.translate, value);
+    } else if (label) {
+        statTexts.formats[id] = value => statTexts.formats.default(label, value);
+    }
+
+    // Handlers of a previous registration don't carry over
+    removeHitHandler(id);
+    if (onHit) {
+        const run = createStatHandler(id, onHit, "hit");
+        if (run) {
+            registerHitHandler(id, (entity, value, attacker, _stats, context) => {
+                run(entity, value, { attacker, target: entity, damage: context?.damage });
+            });
+        }
+    }
+
+    delete statTickHandlers[id];
+    if (onTick) {
+        const run = createStatHandler(id, onTick, "tick");
+        if (run) {
+            statTickHandlers[id] = {
+                interval: Math.max(1, onTick.interval ?? 20),
+                run: (player, value) => run(player, value, { target: player })
+            };
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Replaces the soft cap of a built-in stat.
+ *
+ * @param {string} id Built-in stat identifier.
+ * @param {SoftCap|null} softCap New soft cap, `null` removes it.
+ * @returns {boolean} Whether the soft cap was changed.
+ */
+function setBuiltInSoftCap(id, softCap) {
+    if (softCap !== null && !validateSoftCap(softCap)) {
+        console.warn(`[Dorios RPG Core] Stat '${id}' has an invalid soft cap:`, JSON.stringify(softCap));
+        return false;
+    }
+
+    statsConfig[id].softCap = softCap ?? undefined;
+    return true;
+}
+
+/**
+ * Builds the function that executes a JSON stat handler.
+ *
+ * @param {string} statId
+ * @param {StatHandler} handler
+ * @param {"hit"|"tick"} trigger
+ * @returns {((entity: Entity, value: number, context: Object) => void)|undefined}
+ */
+function createStatHandler(statId, handler, trigger) {
+    const chance = handler.chance ?? 100;
+    const rolls = fn => (entity, value, context) => {
+        if (Math.random() * 100 >= chance) return;
+        try {
+            fn(entity, value, context);
+        } catch (e) {
+            console.warn(`[Dorios RPG Core] Error running ${trigger} handler of stat '${statId}':`, e);
+        }
+    };
+
+    switch (handler.type) {
+        case "effect":
+            if (!handler.effect) break;
+            return rolls((entity, value) => {
+                entity.addEffect(handler.effect, handler.duration ?? 100, {
+                    amplifier: handler.amplifier ?? Math.max(0, Math.floor(value) - 1),
+                    showParticles: false
+                });
+            });
+
+        case "script_event":
+            if (!handler.id) break;
+            return rolls((entity, value, context) => {
+                system.sendScriptEvent(handler.id, JSON.stringify({
+                    stat: statId,
+                    trigger,
+                    value,
+                    entity: entity.id,
+                    attacker: context.attacker?.id,
+                    damage: context.damage
+                }));
+            });
+
+        case "command":
+            if (!handler.command) break;
+            return rolls((entity, value) => {
+                entity.runCommand(handler.command.replaceAll("{value}", value));
+            });
+    }
+
+    console.warn(`[Dorios RPG Core] Invalid ${trigger} handler for stat '${statId}':`, JSON.stringify(handler));
+}
+
+/**
+ * Recalculates every online player, so new stats show up right away.
+ * Other entities are recalculated on their next hit.
+ */
+export function refreshAllPlayers() {
+    clearEntityStats();
+    for (const player of world.getPlayers()) {
+        requestStatsUpdate(player);
+    }
+}
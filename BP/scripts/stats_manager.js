@@ -1,6 +1,43 @@
 import { system, world } from '@minecraft/server'
 import { ActionFormData } from '@minecraft/server-ui'
-import { data, statsConfig, statTexts, vanillaStats, vanillaEventStats, scriptEventsHandler } from './config.js'
+import { data, sets, levelConfig, statsConfig, statTexts, vanillaStats, scriptEventsHandler } from './config.js'
+import { getActiveBuffs } from './buffs_manager.js'
+import { getItemAffixes, getTrinketAffixes, affixesToSource } from './affix_manager.js'
+import { evaluateCondition } from './conditions.js'
+import { getLevelStats, getLevelProgress, getXpForLevel, displayStatPoints } from './leveling.js'
+import { getClassSource, getClassBaseStats, canClassEquip, getPlayerClass, getClassName, displayClassSelection } from './classes.js'
+import { isElite, getEliteSources } from './elite_mobs.js'
+import { getMobLevel, getMobLevelSource } from './mob_scaling.js'
+import { translate, toRawMessage, joinMessages, displayName, effectName } from './lang.js'
+import { applySoftCap } from './soft_caps.js'
+import { resolveEffectConflicts } from './effect_conflicts.js'
+import { displayLoadouts } from './loadouts.js'
+
+/** Ids of players whose stats depend on conditions and must be re-evaluated periodically. */
+const conditionalPlayers = new Set();
+
+/** Stats defined by the core, translated with `dorios.stat.<id>`. */
+const BUILT_IN_STATS = new Set(Object.keys(statsConfig));
+
+/** Stat categories stored per player. */
+const STAT_CATEGORIES = ["stats", "passives", "actives", "immunities", "sets"];
+
+/**
+ * Parsed stat categories per player id, together with the JSON last written
+ * to each dynamic property. Filled on the first read after joining or a
+ * script reload, and kept up to date by `updatePlayerStats`.
+ *
+ * @type {Map<string, { data: Object<string, any>, raw: Object<string, string> }>}
+ */
+const statCache = new Map();
+
+/**
+ * Stats of non-player entities with registrations, calculated on first use
+ * and kept in memory only. `tick` is when they were calculated.
+ *
+ * @type {Map<string, { data: Object<string, any>, conditional: boolean, tick: number }>}
+ */
+const entityStatCache = new Map();
 
 system.afterEvents.scriptEventReceive.subscribe((e) => {
     const event = scriptEventsHandler[e.id]
@@ -9,38 +46,150 @@ system.afterEvents.scriptEventReceive.subscribe((e) => {
 
 /**
  * Recalculates, stores, and applies all stat categories for a player.
- * 
+ *
+ * Sends `dorios:stats_changed` when anything changed (see `diffStats`).
+ *
  * @param {Entity} player The player to update.
  */
 export function updatePlayerStats(player) {
     const playerData = calculateAllStats(player);
+    const previous = getCachedStats(player).data;
+
+    if (playerData.conditional) {
+        conditionalPlayers.add(player.id);
+    } else {
+        conditionalPlayers.delete(player.id);
+    }
+
+    const changes = diffStats(previous, playerData);
 
     // Guardar
     saveStatsToProperties(player, playerData);
 
-    // Aplicar vanilla stats con eventos
-    applyVanillaStatsViaEvents(player, playerData.stats);
+    // Aplicar vanilla stats
+    applyVanillaStats(player, playerData.stats);
+
+    // Listeners see the stats already applied, and a failed notification can't undo them
+    if (changes) {
+        try {
+            system.sendScriptEvent("dorios:stats_changed", JSON.stringify({
+                playerId: player.id,
+                playerName: player.name,
+                ...changes
+            }));
+        } catch (err) {
+            console.warn(`[Dorios RPG Core] Couldn't notify stat changes of '${player.name}':`, err);
+        }
+    }
 }
 
 /**
- * Applies vanilla stat events to a player based on the stat values.
- * Assumes each value maps to an event like: `minecraft:statNameValue`
+ * Compares two calculations of the same player.
  *
- * @param {Entity} player The player to apply stats to.
- * @param {Object} stats Object of statName → final value.
+ * `stats`, `passives` and `actives` list every changed key as `{ old, new }`
+ * (missing values are `null`). `immunities` lists the `added` and `removed` effects.
+ *
+ * @param {Object} previous Stat categories before the update.
+ * @param {Object} current Stat categories after the update.
+ * @returns {{ stats: Object, passives: Object, actives: Object, immunities: { added: string[], removed: string[] } }|undefined}
+ *   The changes, or undefined if nothing changed.
  */
-function applyVanillaStatsViaEvents(player, stats) {
-    let tickOffset = 0;
+function diffStats(previous, current) {
+    const changes = {};
+    let changed = false;
 
-    vanillaEventStats.forEach(stat => {
-        const value = stats[stat];
-        if (value === undefined) return;
+    for (const category of ["stats", "passives", "actives"]) {
+        const before = previous[category] ?? {};
+        const after = current[category] ?? {};
+        changes[category] = {};
 
-        const eventName = `minecraft:${stat}${value}`;
-        system.runTimeout(() => {
-            player.triggerEvent(eventName);
-        }, tickOffset++);
-    });
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            if (before[key] === after[key]) continue;
+            changes[category][key] = { old: before[key] ?? null, new: after[key] ?? null };
+            changed = true;
+        }
+    }
+
+    const before = new Set(previous.immunities ?? []);
+    const after = new Set(current.immunities ?? []);
+    changes.immunities = {
+        added: [...after].filter(effect => !before.has(effect)),
+        removed: [...before].filter(effect => !after.has(effect))
+    };
+    if (changes.immunities.added.length > 0 || changes.immunities.removed.length > 0) changed = true;
+
+    return changed ? changes : undefined;
+}
+
+/** Players waiting for a recalculation, indexed by id. */
+const pendingUpdates = new Map();
+
+/**
+ * Schedules a stat recalculation for a player.
+ *
+ * Every request made during the same tick is merged into a single
+ * recalculation. Requests made from an event handler are processed at the end
+ * of that same tick.
+ *
+ * Other entities are recalculated on their next stat read instead.
+ *
+ * @param {Entity} player
+ */
+export function requestStatsUpdate(player) {
+    if (player.typeId !== "minecraft:player") {
+        entityStatCache.delete(player.id);
+        // Resistance is an effect, so it can't wait for the next stat read
+        system.run(() => {
+            if (player.isValid) applyDamageResistance(player, getStatCategory(player, 'stats')?.damageReduction);
+        });
+        return;
+    }
+
+    if (pendingUpdates.size === 0) system.run(flushStatsUpdates);
+    pendingUpdates.set(player.id, player);
+}
+
+function flushStatsUpdates() {
+    const players = [...pendingUpdates.values()];
+    pendingUpdates.clear();
+
+    for (const player of players) {
+        if (player.isValid) updatePlayerStats(player);
+    }
+}
+
+/**
+ * Whether the player's last calculation depended on conditions
+ * (time, weather, health...), so it must be re-evaluated over time.
+ *
+ * @param {Player} player
+ * @returns {boolean}
+ */
+export function hasConditionalStats(player) {
+    return conditionalPlayers.has(player.id);
+}
+
+/** Max health of a player without health boost. */
+const BASE_MAX_HEALTH = 20;
+/** Max health added by each health boost level. */
+const HEALTH_PER_BOOST_LEVEL = 4;
+/** Highest health boost level an effect can have. */
+const MAX_BOOST_LEVEL = 256;
+
+/**
+ * Applies vanilla stats to a player based on the stat values.
+ *
+ * Movement stats are written to their attribute components. Max health uses
+ * the health boost effect, since the max of the health attribute can't be
+ * changed from scripts. Damage reduction uses the resistance effect, topped up
+ * on every hit along with knockback resistance (see active_abilities.js).
+ *
+ * @param {Entity} player The player to apply stats to.
+ * @param {Object} stats Object of statName → final value.
+ */
+function applyVanillaStats(player, stats) {
+    applyMaxHealth(player, stats.health);
+    applyDamageResistance(player, stats.damageReduction);
 
     vanillaStats.forEach(stat => {
         const value = stats[stat[0]];
@@ -49,101 +198,628 @@ function applyVanillaStatsViaEvents(player, stats) {
     });
 }
 
+/** Dynamic property holding the health boost amplifier applied by the core. */
+const HEALTH_BOOST_PROPERTY = "dorios:healthBoost";
+
+/**
+ * Sets the max health of a player through the health boost effect.
+ *
+ * Health boost adds 4 health per level, so the boost is rounded up and the
+ * current health is kept at or below the stat (see `clampHealth`). That also
+ * covers values below 20, which can't lower the vanilla max.
+ *
+ * Only the boost applied by the core is changed. Boosts from potions or other
+ * addons are left alone, and the core's one comes back once they end. Called
+ * again periodically, so it also comes back after milk or effect clears.
+ *
+ * @param {Player} player
+ * @param {number} [health] Max health.
+ */
+export function applyMaxHealth(player, health) {
+    if (health === undefined) return;
+
+    const levels = Math.min(MAX_BOOST_LEVEL, Math.max(0, Math.ceil((health - BASE_MAX_HEALTH) / HEALTH_PER_BOOST_LEVEL)));
+    const applied = player.getDynamicProperty(HEALTH_BOOST_PROPERTY);
+    const current = player.getEffect("health_boost");
+
+    if (current && current.amplifier !== applied) {
+        // Someone else's boost, ours is applied again when it ends
+        if (applied !== undefined) player.setDynamicProperty(HEALTH_BOOST_PROPERTY, undefined);
+        return;
+    }
+
+    const wanted = levels > 0 ? levels - 1 : undefined;
+    if (current?.amplifier !== wanted) {
+        const component = player.getComponent('health');
+        const previous = component?.currentValue;
+
+        // A higher boost can go over the current one, a lower one replaces it
+        if (current && (wanted === undefined || wanted < current.amplifier)) player.removeEffect("health_boost");
+
+        if (wanted !== undefined) {
+            player.addEffect("health_boost", 20000000, { amplifier: wanted, showParticles: false });
+            player.setDynamicProperty(HEALTH_BOOST_PROPERTY, wanted);
+        } else {
+            player.setDynamicProperty(HEALTH_BOOST_PROPERTY, undefined);
+        }
+
+        // Removing the boost drops health to the vanilla max, keep what the player had
+        if (previous > 0) component.setCurrentValue(Math.min(previous, health, component.effectiveMax));
+    }
+
+    clampHealth(player, health);
+}
+
+/**
+ * Keeps the current health of a player at or below its max health stat,
+ * for values the health boost can't match exactly. Skipped while a boost
+ * from another source is active.
+ *
+ * @param {Player} player
+ * @param {number} [health] Max health.
+ */
+export function clampHealth(player, health) {
+    if (health === undefined) return;
+
+    const component = player.getComponent('health');
+    if (!component || component.currentValue <= health || health >= component.effectiveMax) return;
+
+    const boost = player.getEffect("health_boost");
+    if (boost && boost.amplifier !== player.getDynamicProperty(HEALTH_BOOST_PROPERTY)) return;
+
+    component.setCurrentValue(health);
+}
+
+/** Dynamic property holding the resistance amplifier applied by the core. */
+const RESISTANCE_PROPERTY = "dorios:resistance";
+/** Damage reduction in percent given by each resistance level. */
+export const RESISTANCE_PER_LEVEL = 20;
+
+/**
+ * Applies most of the damage reduction stat through the resistance effect, so
+ * hits are mitigated before they land and lethal ones can be survived. Each
+ * level covers 20%, the rest is healed back after the hit (see
+ * active_abilities.js). Negative values apply no resistance.
+ *
+ * Like the health boost, resistance from potions or other addons is left
+ * alone, and the core's one comes back once it ends.
+ *
+ * @param {Entity} entity
+ * @param {number} [reduction] Damage reduction in percent.
+ */
+export function applyDamageResistance(entity, reduction) {
+    const levels = reduction > 0 ? Math.min(5, Math.floor(reduction / RESISTANCE_PER_LEVEL)) : 0;
+    const applied = entity.getDynamicProperty(RESISTANCE_PROPERTY);
+    const current = entity.getEffect("resistance");
+
+    if (current && current.amplifier !== applied) {
+        if (applied !== undefined) entity.setDynamicProperty(RESISTANCE_PROPERTY, undefined);
+        return;
+    }
+
+    const wanted = levels > 0 ? levels - 1 : undefined;
+    if (current?.amplifier === wanted) return;
+
+    if (current) entity.removeEffect("resistance");
+    if (wanted !== undefined) entity.addEffect("resistance", 20000000, { amplifier: wanted, showParticles: false });
+    entity.setDynamicProperty(RESISTANCE_PROPERTY, wanted);
+}
+
+/**
+ * @param {Entity} entity
+ * @returns {number} Resistance levels currently applied by the core.
+ */
+export function getCoreResistanceLevels(entity) {
+    const applied = entity.getDynamicProperty(RESISTANCE_PROPERTY);
+    if (applied === undefined || entity.getEffect("resistance")?.amplifier !== applied) return 0;
+    return applied + 1;
+}
+
 /**
- * Saves all 5 stat categories to dynamic properties on the player.
+ * Saves all 5 stat categories to the cache, writing to dynamic properties
+ * only the categories whose content changed.
  *
  * @param {Entity} player The target player entity.
  * @param {Object} playerData Object containing stats, passives, actives, and immunities.
  */
 function saveStatsToProperties(player, playerData) {
-    player.setDynamicProperty("dorios:playerData.stats", JSON.stringify(playerData.stats));
-    player.setDynamicProperty("dorios:playerData.passives", JSON.stringify(playerData.passives));
-    player.setDynamicProperty("dorios:playerData.actives", JSON.stringify(playerData.actives));
-    player.setDynamicProperty("dorios:playerData.immunities", JSON.stringify(playerData.immunities));
+    const cached = getCachedStats(player);
+
+    for (const category of STAT_CATEGORIES) {
+        const raw = JSON.stringify(playerData[category]);
+        cached.data[category] = playerData[category];
+        if (cached.raw[category] === raw) continue;
+
+        cached.raw[category] = raw;
+        player.setDynamicProperty(`dorios:playerData.${category}`, raw);
+    }
 }
 
 /**
- * Loads a specific stat category from dynamic properties.
+ * Returns the cached stats of a player, loading them from dynamic properties
+ * on the first access.
  *
- * @param {Entity} player The player entity to read from.
- * @param {string} category One of: "stats", "passives", "actives", "immunities".
- * @returns {Object} The parsed stat category, or empty object if not found.
+ * @param {Entity} player
+ * @returns {{ data: Object<string, any>, raw: Object<string, string> }}
  */
-export function getStatCategory(player, category) {
-    const valid = ["stats", "passives", "actives", "immunities"];
-    if (!valid.includes(category)) return {};
+function getCachedStats(player) {
+    let cached = statCache.get(player.id);
+    if (cached) return cached;
+
+    cached = { data: {}, raw: {} };
+    for (const category of STAT_CATEGORIES) {
+        const raw = player.getDynamicProperty(`dorios:playerData.${category}`);
+        const empty = category === "immunities" ? [] : {};
+        try {
+            cached.data[category] = raw ? JSON.parse(raw) : empty;
+            cached.raw[category] = raw;
+        } catch {
+            cached.data[category] = empty;
+        }
+    }
+
+    statCache.set(player.id, cached);
+    return cached;
+}
 
-    const raw = player.getDynamicProperty(`dorios:playerData.${category}`);
-    return raw ? JSON.parse(raw) : {};
+/**
+ * Returns the stats of a non-player entity, calculating them on first use.
+ * Stats that depend on conditions are recalculated at most once per second.
+ *
+ * @param {Entity} entity
+ * @returns {Object<string, any>}
+ */
+function getEntityStats(entity) {
+    const cached = entityStatCache.get(entity.id);
+    if (cached && !(cached.conditional && system.currentTick - cached.tick >= 20)) return cached.data;
+
+    const { stats, passives, actives, immunities, sets, conditional } = calculateAllStats(entity);
+    const result = { stats, passives, actives, immunities, sets };
+    entityStatCache.set(entity.id, { data: result, conditional, tick: system.currentTick });
+    return result;
+}
+
+/**
+ * Forgets the stats calculated for non-player entities, so registry changes apply to them.
+ */
+export function clearEntityStats() {
+    entityStatCache.clear();
 }
 
 /**
- * Loads all five stat categories from the player's dynamic properties.
- * 
+ * Whether an entity takes part in the stat system: players, and entities
+ * whose type or one of their tags is registered.
+ *
+ * @param {Entity} entity
+ * @returns {boolean}
+ */
+export function hasRegisteredStats(entity) {
+    if (entity.typeId === "minecraft:player") return true;
+    if (data[entity.typeId] || isElite(entity) || getMobLevel(entity) > 0) return true;
+    return entity.getTags().some(tag => data[tag]);
+}
+
+/**
+ * Returns a specific stat category of an entity from the in-memory cache.
+ * The returned object is shared, callers must not modify it.
+ *
+ * @param {Entity} player The entity to read from.
+ * @param {string} category One of: "stats", "passives", "actives", "immunities", "sets".
+ * @returns {Object} The stat category, or empty object if not found.
+ */
+export function getStatCategory(player, category) {
+    if (!STAT_CATEGORIES.includes(category)) return {};
+    if (player.typeId !== "minecraft:player") return getEntityStats(player)[category];
+    return getCachedStats(player).data[category];
+}
+
+/**
+ * Returns all five stat categories of a player from the in-memory cache.
+ *
  * @param {Entity} player The player entity to retrieve stats from.
  * @returns {{
  *   stats: Object,
  *   passives: Object,
  *   actives: Object,
- *   immunities: Object
+ *   immunities: Object,
+ *   sets: Object
  * }}
  */
 export function getAllStats(player) {
-    const get = (key) => {
-        const raw = player.getDynamicProperty(`dorios:playerData.${key}`);
-        return raw ? JSON.parse(raw) : {};
+    const { data } = getCachedStats(player);
+
+    return {
+        stats: data.stats,
+        passives: data.passives,
+        actives: data.actives,
+        immunities: data.immunities,
+        sets: data.sets
     };
+}
+
+world.beforeEvents.playerLeave.subscribe(({ player }) => {
+    statCache.delete(player.id);
+    conditionalPlayers.delete(player.id);
+    pendingUpdates.delete(player.id);
+});
+
+world.afterEvents.entityRemove.subscribe(({ removedEntityId }) => {
+    entityStatCache.delete(removedEntityId);
+});
+
+
+/**
+ * Normalizes a registered stat value into its three modifier layers.
+ *
+ * A plain number is a flat modifier. An object may combine:
+ * - `flat`: added to the base value.
+ * - `percent`: additive percent, summed across all sources.
+ * - `multi`: multiplicative percent, each source multiplies on its own.
+ *
+ * @param {number|{flat?:number, percent?:number, multi?:number}} value Registered stat value.
+ * @returns {{ flat: number, percent: number, multi: number }|null} The modifier, or null if invalid.
+ */
+function readStatModifier(value) {
+    if (typeof value === "number") return { flat: value, percent: 0, multi: 0 };
+    if (!value || typeof value !== "object") return null;
 
     return {
-        stats: get("stats"),
-        passives: get("passives"),
-        actives: get("actives"),
-        immunities: get("immunities")
+        flat: Number(value.flat) || 0,
+        percent: Number(value.percent) || 0,
+        multi: Number(value.multi) || 0
     };
 }
 
+/**
+ * Whether a source uses any condition (`activeCondition` or a per-stat `condition`).
+ *
+ * @param {StatSource} source
+ * @returns {boolean}
+ */
+function usesConditions(source) {
+    if (source.activeCondition !== undefined) return true;
+    return Object.values(source.stats ?? {}).some(value => value?.condition !== undefined);
+}
+
+/**
+ * Applies every modifier of a stat to its base value.
+ *
+ * Order:
+ * 1. `base + sum(flat)`
+ * 2. `× (1 + sum(percent) / 100)`
+ * 3. `× (1 + multi / 100)` for each multiplicative modifier
+ *
+ * Clamping and scale rounding happen afterwards in `calculateAllStats`.
+ *
+ * @param {number} base Default value from `statsConfig`.
+ * @param {{ flat: number, percent: number, multi: number }[]} modifiers Modifiers of every source.
+ * @returns {number} The unclamped stat value.
+ */
+function applyStatModifiers(base, modifiers) {
+    let flat = 0;
+    let percent = 0;
+    let multiplier = 1;
+
+    for (const mod of modifiers) {
+        flat += mod.flat;
+        percent += mod.percent;
+        if (mod.multi) multiplier *= 1 + mod.multi / 100;
+    }
+
+    return (base + flat) * (1 + percent / 100) * multiplier;
+}
+
+/** Armor slots of the `minecraft:wearable` component, by their item JSON name. */
+const WEARABLE_SLOTS = {
+    "slot.armor.head": "Head",
+    "slot.armor.chest": "Chest",
+    "slot.armor.legs": "Legs",
+    "slot.armor.feet": "Feet",
+    "slot.weapon.offhand": "Offhand"
+};
+
+/** Vanilla armor pieces, by type id suffix. */
+const ARMOR_SUFFIXES = { _helmet: "Head", _chestplate: "Chest", _leggings: "Legs", _boots: "Feet" };
+
+/**
+ * Returns the slot an item is meant to be used from: its `minecraft:wearable`
+ * slot for armor, the main hand for everything else.
+ *
+ * @param {ItemStack} itemStack
+ * @returns {string} Equipment slot.
+ */
+function getNaturalSlot(itemStack) {
+    const slot = itemStack.getComponent("minecraft:wearable")?.slot;
+    if (slot) return WEARABLE_SLOTS[slot] ?? slot;
+
+    const suffix = Object.keys(ARMOR_SUFFIXES).find(suffix => itemStack.typeId.endsWith(suffix));
+    return suffix ? ARMOR_SUFFIXES[suffix] : "Mainhand";
+}
+
+/**
+ * Checks whether a registered entry counts while equipped in a slot.
+ *
+ * Entries count in their item's natural slot (see `getNaturalSlot`), unless
+ * they declare `equipSlots`. Trinkets only count through their tag unless
+ * they declare `equipSlots`.
+ *
+ * @param {Object} entry Registered entry.
+ * @param {string} slot Equipment slot ("Head", "Chest", "Legs", "Feet", "Mainhand", "Offhand").
+ * @param {ItemStack} itemStack Item in the slot.
+ * @returns {boolean}
+ */
+function countsInEquipmentSlot(entry, slot, itemStack) {
+    if (Array.isArray(entry.equipSlots)) return entry.equipSlots.includes(slot);
+    return !entry.trinket && getNaturalSlot(itemStack) === slot;
+}
+
+/**
+ * @typedef {Object} StatSource
+ * A registration contributing to an entity's stats, plus where it comes from.
+ * @property {{ type: string, id: string, label: RawMessage }} origin
+ * @property {Object} [stats]
+ * @property {Object} [passives]
+ * @property {Object} [actives]
+ * @property {string[]} [immunities]
+ * @property {string} [set]
+ * @property {Object} [activeCondition] Condition (see conditions.js) the source needs to count at all.
+ */
+
+/**
+ * Wraps a registration with its origin, used by set counting and the stat breakdown.
+ *
+ * @param {Object} entry Registration contributing to the stats.
+ * @param {string} type Origin type ("entity", "elite", "equipment", "trinket", "tag", "affix", "buff", "set", "level", "class").
+ * @param {string} id Origin identifier (item id, tag, buff source, set id).
+ * @param {RawMessage} label Display label for the breakdown.
+ * @returns {StatSource}
+ */
+function withOrigin(entry, type, id, label) {
+    return { ...entry, origin: { type, id, label } };
+}
+
+/**
+ * Collects every registration that currently contributes to an entity's stats.
+ *
+ * Sources:
+ * - The entity type, for non-player entities (e.g. "minecraft:zombie").
+ * - Elite affixes rolled when the entity spawned.
+ * - The mob level given by mob scaling.
+ * - Registered items in their natural slot, or in their `equipSlots`.
+ *   Each item id counts once, even if it fills several slots.
+ * - Registered entries matching one of the entity's tags (trinkets, tag effects).
+ *   Entries already counted from an equipment slot are skipped.
+ * - Affixes rolled on equipped item stacks and equipped trinkets.
+ * - Timed buffs active on the entity.
+ * - Level growth and allocated stat points (players only).
+ * - The player's class, including its per-level growth.
+ *
+ * Items the entity's class can't equip are ignored.
+ *
+ * @param {Entity} entity The target entity.
+ * @returns {StatSource[]}
+ */
+function collectStatSources(entity) {
+    const sources = [];
+    const counted = new Set();
+    const labels = statTexts.sources;
+
+    const typeEntry = entity.typeId !== "minecraft:player" && data[entity.typeId];
+    if (typeEntry) {
+        sources.push(withOrigin(typeEntry, "entity", entity.typeId, displayName(typeEntry.name, entity.typeId)));
+    }
+
+    for (const affix of getEliteSources(entity)) {
+        sources.push(withOrigin(affix.entry, "elite", affix.id, labels.elite(affix.name)));
+    }
+
+    const mobLevel = getMobLevelSource(entity);
+    if (mobLevel) {
+        sources.push(withOrigin(mobLevel.entry, "level", String(mobLevel.level), labels.level(mobLevel.level)));
+    }
+
+    const equippable = entity.getComponent("equippable");
+    if (equippable) {
+        for (const slot of Object.values(DoriosAPI.constants.equipmentSlots)) {
+            const itemStack = equippable.getEquipment(slot);
+            const typeId = itemStack?.typeId;
+            const entry = data[typeId];
+            if (!entry || !countsInEquipmentSlot(entry, slot, itemStack)) continue;
+            if (!canClassEquip(entity, typeId)) continue;
+
+            // The item counts once, but every stack keeps its own affixes
+            const name = displayName(entry.name, typeId);
+            if (!counted.has(typeId)) {
+                sources.push(withOrigin(entry, "equipment", typeId, labels.equipment(name, slot)));
+                counted.add(typeId);
+            }
+
+            const rolled = entry.affixes && getItemAffixes(itemStack);
+            if (rolled) {
+                sources.push(withOrigin(affixesToSource(rolled), "affix", typeId, labels.affixes(name)));
+            }
+        }
+    }
+
+    const trinketAffixes = entity.typeId === "minecraft:player" ? getTrinketAffixes(entity) : {};
+    for (const tag of entity.getTags()) {
+        const entry = data[tag];
+        if (!entry || counted.has(tag)) continue;
+        if (entry.trinket && !canClassEquip(entity, tag)) continue;
+
+        const name = displayName(entry.name, tag);
+        sources.push(withOrigin(entry, entry.trinket ? "trinket" : "tag", tag, name));
+        if (trinketAffixes[tag]) {
+            sources.push(withOrigin(affixesToSource(trinketAffixes[tag]), "affix", tag, labels.affixes(name)));
+        }
+    }
+
+    for (const buff of getActiveBuffs(entity)) {
+        sources.push(withOrigin(buff, "buff", buff.source, labels.buff(displayName(undefined, buff.source))));
+    }
+
+    if (entity.typeId === "minecraft:player") {
+        const { level, stats } = getLevelStats(entity);
+        sources.push(withOrigin({ stats }, "level", String(level), labels.level(level)));
+    }
+
+    const playerClass = getClassSource(entity);
+    if (playerClass) {
+        sources.push(withOrigin(playerClass.entry, "class", playerClass.id, labels.class(playerClass.name)));
+    }
+
+    return sources;
+}
+
+/**
+ * @typedef {Object} StatBreakdown
+ * @property {number} base Default value from `statsConfig` or the class `baseStats`.
+ * @property {({ label: RawMessage, flat: number, percent: number, multi: number })[]} sources
+ * @property {number} raw Value after modifiers, before the soft cap, clamping and scale rounding.
+ * @property {SoftCap} [softCap] Soft cap that reduced the value, if any.
+ * @property {number} effective Value after the soft cap.
+ * @property {number} [min] Lower limit applied.
+ * @property {number} [max] Upper limit applied.
+ * @property {number} [scale] Rounding step applied.
+ * @property {number} final Stored value.
+ */
+
+/**
+ * Counts equipped pieces of every set and returns the bonus tiers reached.
+ *
+ * Tiers are cumulative: with 4 pieces equipped, both the 2 and 4 piece
+ * bonuses apply. The total shown in the progress is the amount of
+ * registered items that belong to the set.
+ *
+ * @param {StatSource[]} sources Stat sources returned by `collectStatSources`.
+ * @returns {{ bonuses: StatSource[], progress: Object<string, { equipped: number, total: number }> }}
+ */
+function collectSetBonuses(sources) {
+    /** @type {Map<string, Set<string>>} Equipped item ids per set */
+    const pieces = new Map();
+
+    for (const source of sources) {
+        if (!source.set) continue;
+        if (!pieces.has(source.set)) pieces.set(source.set, new Set());
+        pieces.get(source.set).add(source.origin.id);
+    }
+
+    const bonuses = [];
+    const progress = {};
+
+    for (const [setId, equipped] of pieces) {
+        const total = Object.values(data).filter(entry => entry.set === setId).length;
+        progress[setId] = { equipped: equipped.size, total };
+
+        const tiers = sets[setId]?.bonuses;
+        if (!tiers) continue;
+
+        const setName = displayName(sets[setId].name, setId);
+        for (const [required, bonus] of Object.entries(tiers)) {
+            if (equipped.size >= Number(required)) {
+                bonuses.push(withOrigin(bonus, "set", setId, statTexts.sources.set(setName, required)));
+            }
+        }
+    }
+
+    return { bonuses, progress };
+}
 
 /**
  * Calculates all stat categories: stats, passives, actives, and immunities.
  * Applies clamping only to vanilla playerData. Other categories are purely additive.
  *
+ * The base value of each stat is its `statsConfig` default, unless the entity's
+ * class overrides it in `baseStats`.
+ *
+ * Stat values are layered as flat, additive percent and multiplicative percent
+ * modifiers (see `applyStatModifiers`), reduced by their `softCap`, then clamped to
+ * `min`/`max` and rounded to `scale`.
+ *
+ * Sources whose `activeCondition` fails are ignored entirely (including set
+ * counting), and single stat modifiers are skipped when their `condition` fails.
+ *
+ * Set bonuses are added as extra sources once the equipped pieces are counted.
+ *
+ * `breakdown` lists, per stat, the modifiers of every source, the value before
+ * clamping and the limits that were applied. It is only used for display and is
+ * never stored.
+ *
  * @param {Entity} entity The target entity.
- * @returns {{ stats: Object, passives: Object, actives: Object, immunities: string[] }}
+ * @returns {{
+ *   stats: Object,
+ *   passives: Object,
+ *   actives: Object,
+ *   immunities: string[],
+ *   sets: Object,
+ *   breakdown: Object<string, StatBreakdown>,
+ *   conditional: boolean
+ * }}
  */
 function calculateAllStats(entity) {
     const stats = {};
     const passives = {};
     const actives = {};
     const immunitiesSet = new Set(); // use Set to avoid duplicates
-    const equippedTypeIds = [...entity.getTags()];
+    const breakdown = {};
+    const allSources = collectStatSources(entity);
+    const conditional = allSources.some(usesConditions);
+    const sources = allSources.filter(source => evaluateCondition(entity, source.activeCondition));
+    const setBonuses = collectSetBonuses(sources);
+    sources.push(...setBonuses.bonuses);
+    const classBase = getClassBaseStats(entity);
 
     for (const statName in statsConfig) {
-        const { default: base, min, max, scale } = statsConfig[statName];
-        let total = base + (stats[statName] ?? 0);
+        const { min, max, scale, softCap } = statsConfig[statName];
+        const base = classBase[statName] ?? statsConfig[statName].default;
+        const modifiers = [];
+        const contributions = [];
 
-        equippedTypeIds.forEach(typeId => {
-            const itemStats = data[typeId]?.stats;
-            if (itemStats?.[statName] !== undefined) {
-                total += itemStats[statName];
-            }
+        sources.forEach(source => {
+            const value = source.stats?.[statName];
+            if (value === undefined) return;
+            if (value?.condition !== undefined && !evaluateCondition(entity, value.condition)) return;
+
+            const modifier = readStatModifier(value);
+            if (!modifier) return;
+
+            modifiers.push(modifier);
+            contributions.push({ label: source.origin.label, ...modifier });
         });
 
-        if (min !== undefined && max !== undefined) {
-            total = Math.min(Math.max(total, min), max);
-        }
+        const raw = applyStatModifiers(base, modifiers);
+        const effective = applySoftCap(raw, softCap);
+        let total = effective;
+
+        if (min !== undefined) total = Math.max(total, min);
+        if (max !== undefined) total = Math.min(total, max);
 
         if (scale) {
             total = scale * Math.floor(total / scale)
+        } else {
+            // Percent modifiers leave float noise (e.g. 110.00000000000001)
+            total = DoriosAPI.math.roundTo(total, 2)
         }
 
         stats[statName] = total;
+        breakdown[statName] = {
+            base,
+            sources: contributions,
+            raw: DoriosAPI.math.roundTo(raw, 2),
+            softCap: effective !== raw ? softCap : undefined,
+            effective: DoriosAPI.math.roundTo(effective, 2),
+            min,
+            max,
+            scale,
+            final: total
+        };
     }
 
     // Effects: passives and actives (additive)
     const effects = ["passives", "actives"]
     effects.forEach(key => {
-        equippedTypeIds.forEach(typeId => {
-            const effects = data[typeId]?.[key];
+        sources.forEach(source => {
+            const effects = source[key];
             if (!effects) return;
 
             const storage = key === "passives" ? passives : actives;
@@ -155,105 +831,125 @@ function calculateAllStats(entity) {
     });
 
     // Immunities (array merge)
-    equippedTypeIds.forEach(typeId => {
-        const immunityList = data[typeId]?.immunities;
+    sources.forEach(source => {
+        const immunityList = source.immunities;
         if (Array.isArray(immunityList)) {
             immunityList.forEach(effect => immunitiesSet.add(effect));
         }
     });
 
-    // Conflict resolution for passives and actives
-    const conflicting = [
-        ["poison", "regeneration"],
-        ["weakness", "strength"],
-        ["mining_fatigue", "haste"],
-        ["slowness", "speed"]
-    ];
-
-    conflicting.forEach(([a, b]) => {
-        [passives, actives].forEach(storage => {
-            const aVal = storage[a] ?? 0;
-            const bVal = storage[b] ?? 0;
-
-            if (aVal > 0 || bVal > 0) {
-                const diff = aVal - bVal;
-                if (diff > 0) {
-                    storage[a] = diff;
-                    delete storage[b];
-                } else if (diff < 0) {
-                    storage[b] = -diff;
-                    delete storage[a];
-                } else {
-                    delete storage[a];
-                    delete storage[b];
-                }
-            }
-        });
-    });
+    // Conflict resolution for passives and actives (see `effectConflicts`)
+    resolveEffectConflicts(passives, "passives");
+    resolveEffectConflicts(actives, "actives");
 
     return {
         stats,
         passives,
         actives,
-        immunities: [...immunitiesSet]
+        immunities: [...immunitiesSet],
+        sets: setBonuses.progress,
+        breakdown,
+        conditional
     };
 }
 
-function formatAllStats(player) {
+/**
+ * Builds the text shown in the stats menu.
+ *
+ * @param {Player} player
+ * @returns {RawMessage}
+ */
+export function formatAllStats(player) {
     const playerData = getAllStats(player);
-    if (!playerData) return "No player data available.";
+    if (!playerData) return statTexts.noData;
 
     const { sections, formats } = statTexts;
-    let output = "";
+    const lines = [];
+
+    // --- Level ---
+    const progress = getLevelProgress(player);
+    lines.push(statTexts.level.title);
+    lines.push(progress.level >= levelConfig.maxLevel
+        ? statTexts.level.maxLevel(progress.level)
+        : statTexts.level.progress(progress.level, progress.xp, getXpForLevel(progress.level)));
+    lines.push(statTexts.level.points(progress.points));
+
+    const classId = getPlayerClass(player);
+    lines.push(classId ? statTexts.classes.display(getClassName(classId)) : statTexts.classes.noClass);
 
     // --- Main Stats ---
-    output += `${sections.stats.title}\n${sections.stats.description}\n`;
+    lines.push("", sections.stats.title, sections.stats.description);
     const keys = Object.keys(playerData.stats);
     if (keys.length > 0) {
+        // Stored stats only keep the final value, soft capped ones also show the raw one
+        const { breakdown } = calculateAllStats(player);
+
         for (const key of Object.keys(statsConfig)) {
-            const value = playerData.stats[key] ?? 0
-            const label = formatStatName(key);
-            const formatter = formats[key] ?? ((v) => formats.default(label, v));
-            output += formatter(value) + "\n";
+            const line = formatStatLine(key, playerData.stats[key] ?? 0);
+            const info = breakdown[key];
+            lines.push(info?.softCap ? joinMessages([line, formats.softCapped(info.raw)], " ") : line);
         }
     } else {
-        output += sections.stats.empty + "\n";
+        lines.push(sections.stats.empty);
     }
 
     // --- Passives ---
-    output += `\n${sections.passives.title}\n${sections.passives.description}\n`;
+    lines.push("", sections.passives.title, sections.passives.description);
     if (Object.keys(playerData.passives).length > 0) {
         for (const [effect, level] of Object.entries(playerData.passives)) {
-            output += formats.passive(formatStatName(effect), level) + "\n";
+            lines.push(formats.passive(effectName(effect), level));
         }
     } else {
-        output += sections.passives.empty + "\n";
+        lines.push(sections.passives.empty);
     }
 
     // --- Actives ---
-    output += `\n${sections.actives.title}\n${sections.actives.description}\n`;
+    lines.push("", sections.actives.title, sections.actives.description);
     if (Object.keys(playerData.actives).length > 0) {
         for (const [effect, level] of Object.entries(playerData.actives)) {
-            output += formats.active(formatStatName(effect), level) + "\n";
+            lines.push(formats.active(effectName(effect), level));
         }
     } else {
-        output += sections.actives.empty + "\n";
+        lines.push(sections.actives.empty);
     }
 
     // --- Immunities ---
-    output += `\n${sections.immunities.title}\n${sections.immunities.description}\n`;
+    lines.push("", sections.immunities.title, sections.immunities.description);
     if (playerData.immunities?.length > 0) {
         for (const effect of playerData.immunities) {
-            output += formats.immunity(formatStatName(effect)) + "\n";
+            lines.push(formats.immunity(effectName(effect)));
         }
     } else {
-        output += sections.immunities.empty + "\n";
+        lines.push(sections.immunities.empty);
     }
 
-    return output;
+    // --- Sets ---
+    lines.push("", sections.sets.title, sections.sets.description);
+    const equippedSets = Object.entries(playerData.sets ?? {});
+    if (equippedSets.length > 0) {
+        for (const [setId, { equipped, total }] of equippedSets) {
+            lines.push(formats.set(displayName(sets[setId]?.name, setId), equipped, total));
+
+            for (const [required, bonus] of Object.entries(sets[setId]?.bonuses ?? {})) {
+                const description = bonus.description && toRawMessage(bonus.description);
+                lines.push(formats.setTier(required, equipped >= Number(required), description));
+            }
+        }
+    } else {
+        lines.push(sections.sets.empty);
+    }
+
+    return joinMessages(lines);
 }
 
-function formatStatName(name) {
+/**
+ * Generates a plain text name from a stat id ("critChance" → "Crit Chance").
+ * Used where translated text isn't supported, like item lore.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function formatStatName(name) {
     return name
         .replace(/([A-Z])/g, " $1")
         .replace(/_/g, " ")
@@ -261,11 +957,149 @@ function formatStatName(name) {
         .trim();
 }
 
+/**
+ * Returns the translated name of a stat: the `label` of custom stats,
+ * `dorios.stat.<id>` for built-in ones or a name generated from the id.
+ *
+ * @param {string} stat
+ * @returns {RawMessage}
+ */
+export function getStatLabel(stat) {
+    const label = statsConfig[stat]?.label;
+    if (label) return toRawMessage(label);
+    if (BUILT_IN_STATS.has(stat)) return translate(`dorios.stat.${stat}`);
+    return toRawMessage(formatStatName(stat));
+}
+
+/**
+ * Formats a single stat using its formatter from `statTexts`.
+ *
+ * @param {string} key Stat identifier.
+ * @param {number} value Stat value.
+ * @returns {RawMessage}
+ */
+function formatStatLine(key, value) {
+    const { formats } = statTexts;
+    const formatter = formats[key] ?? ((v) => formats.default(getStatLabel(key), v));
+    return formatter(value);
+}
+
+/**
+ * Formats the modifier layers of a source (e.g. "+2, +10%, x1.2").
+ *
+ * @param {{ flat: number, percent: number, multi: number }} modifier
+ * @returns {string}
+ */
+function formatModifier({ flat, percent, multi }) {
+    const parts = [];
+    const signed = value => `${value >= 0 ? "+" : ""}${DoriosAPI.math.roundTo(value, 2)}`;
+
+    if (flat) parts.push(signed(flat));
+    if (percent) parts.push(`${signed(percent)}%`);
+    if (multi) parts.push(`x${DoriosAPI.math.roundTo(1 + multi / 100, 3)}`);
+
+    return parts.join(", ") || "0";
+}
+
+/**
+ * Builds the breakdown text of a stat: base value, each source,
+ * the value before clamping and the limit that was applied.
+ *
+ * @param {StatBreakdown} info
+ * @returns {RawMessage}
+ */
+function formatStatBreakdown(info) {
+    const texts = statTexts.breakdown;
+    const lines = [texts.base(info.base), "", texts.sourcesTitle];
+
+    if (info.sources.length > 0) {
+        for (const source of info.sources) {
+            lines.push(texts.source(source.label, formatModifier(source)));
+        }
+    } else {
+        lines.push(texts.empty);
+    }
+
+    lines.push("", texts.raw(info.raw));
+
+    if (info.softCap) {
+        lines.push(texts.softCap(info.raw, info.effective), texts.softCapCurve(info.softCap));
+    }
+    if (info.min !== undefined || info.max !== undefined) {
+        lines.push(texts.limits(info.min ?? "-", info.max ?? "-"));
+    }
+    if (info.max !== undefined && info.effective > info.max) {
+        lines.push(texts.cappedMax(info.max));
+    } else if (info.min !== undefined && info.effective < info.min) {
+        lines.push(texts.cappedMin(info.min));
+    }
+    if (info.scale) {
+        lines.push(texts.scale(info.scale));
+    }
+
+    lines.push(texts.final(info.final));
+    return joinMessages(lines);
+}
+
 export function displayStats(player) {
     const text = formatAllStats(player)
     const form = new ActionFormData()
-        .title('§6§lAll Stats:')
+        .title(statTexts.title)
         .body(text)
-    form.show(player)
+        .button(statTexts.breakdown.button)
+        .button(statTexts.level.button)
+        .button(statTexts.classes.menuButton)
+        .button(statTexts.loadouts.menuButton)
+    form.show(player).then(res => {
+        if (res.canceled) return;
+        if (res.selection === 0) displayStatList(player);
+        if (res.selection === 1) displayStatPoints(player);
+        if (res.selection === 2) displayClassSelection(player);
+        if (res.selection === 3) displayLoadouts(player);
+    });
+}
+
+/**
+ * Shows every stat as a button, opening its breakdown when selected.
+ *
+ * @param {Player} player
+ */
+function displayStatList(player) {
+    const { stats, breakdown } = calculateAllStats(player);
+    const keys = Object.keys(statsConfig);
+    const texts = statTexts.breakdown;
+
+    const form = new ActionFormData()
+        .title(texts.title)
+        .body(texts.body);
+
+    keys.forEach(key => form.button(formatStatLine(key, stats[key] ?? 0)));
+    form.button(texts.back);
+
+    form.show(player).then(res => {
+        if (res.canceled) return;
+        if (res.selection === keys.length) return displayStats(player);
+
+        const key = keys[res.selection];
+        displayStatSources(player, key, breakdown[key]);
+    });
+}
+
+/**
+ * Shows the contributing sources of a single stat.
+ *
+ * @param {Player} player
+ * @param {string} key Stat identifier.
+ * @param {StatBreakdown} info
+ */
+function displayStatSources(player, key, info) {
+    const form = new ActionFormData()
+        .title(formatStatLine(key, info.final))
+        .body(formatStatBreakdown(info))
+        .button(statTexts.breakdown.back);
+
+    form.show(player).then(res => {
+        if (!res.canceled) displayStatList(player);
+    });
 }
 
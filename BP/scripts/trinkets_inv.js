@@ -1,6 +1,9 @@
-import { system, ItemStack, world } from '@minecraft/server'
-import { data, slots } from './config.js'
-import { getStatCategory, displayStats } from './stats_manager.js'
+import { system, world } from '@minecraft/server'
+import { data, slots, statTexts } from './config.js'
+import { getStatCategory, displayStats, requestStatsUpdate } from './stats_manager.js'
+import { getItemAffixes, getRawItemAffixes, getTrinketAffixes, setTrinketAffixes, createTrinketStack } from './affix_manager.js'
+import { evaluateCondition } from './conditions.js'
+import { canClassEquip } from './classes.js'
 
 
 world.afterEvents.itemUse.subscribe(e => {
@@ -69,10 +72,21 @@ function loadEntityInv(player, entity) {
         const index = slots[slot];
         if (index === undefined) continue;
 
-        container.setItem(index, new ItemStack(tag));
+        container.setItem(index, createTrinketStack(player, tag));
     }
 }
 
+/**
+ * Item and affixes last read from each trinket slot, indexed by trinket
+ * inventory entity id. A new inventory entity starts with an empty cache.
+ * @type {Map<string, Map<number, string>>}
+ */
+const slotAffixCache = new Map();
+
+world.afterEvents.entityRemove.subscribe(({ removedEntityId }) => {
+    slotAffixCache.delete(removedEntityId);
+});
+
 function validateTrinketSlots(player, entity) {
     const container = entity.getComponent('inventory')?.container;
     const playerInv = player.getComponent('inventory')?.container;
@@ -81,6 +95,9 @@ function validateTrinketSlots(player, entity) {
     const currentTags = new Set(player.getTags());
     const expectedTags = new Set();
 
+    let slotCache = slotAffixCache.get(entity.id);
+    if (!slotCache) slotAffixCache.set(entity.id, slotCache = new Map());
+
     for (const [_slotName, index] of Object.entries(slots)) {
         const slot = container.getSlot(index);
         const item = slot?.getItem();
@@ -90,8 +107,8 @@ function validateTrinketSlots(player, entity) {
         const entry = data[id];
 
         const isTrinket = entry?.trinket;
-        const passesCondition = entry?.condition != undefined ? entry.condition(player) : true;
-        // Si no está en data, no es trinket, o falla condición → quitarlo
+        const passesCondition = evaluateCondition(player, entry?.condition) && canClassEquip(player, id);
+        // Si no está en data, no es trinket, o falla condición o clase → quitarlo
         if (!entry || !isTrinket || !passesCondition) {
             container.setItem(index);
             if (playerInv.emptySlotsCount > 0) {
@@ -125,9 +142,21 @@ function validateTrinketSlots(player, entity) {
         }
         clearGlobalImmuneEffects(player)
         // Agregar el tag si aún no lo tiene
-        if (!currentTags.has(id)) {
+        const equipped = !currentTags.has(id);
+        if (equipped) {
             player.addTag(id);
+            requestStatsUpdate(player);
+        }
+        // Same trinket type with different rolls doesn't change tags.
+        // Affixes are only parsed again when the slot's item changes
+        const affixKey = `${id}|${getRawItemAffixes(item) ?? ""}`;
+        if (equipped || slotCache.get(index) !== affixKey) {
+            slotCache.set(index, affixKey);
+            if (setTrinketAffixes(player, id, getItemAffixes(item))) {
+                requestStatsUpdate(player);
+            }
         }
+        if (equipped) sendTrinketEvent(player, id, true);
     }
 
     // Quitar tags de trinkets que ya no están o que fallan su condición
@@ -135,9 +164,12 @@ function validateTrinketSlots(player, entity) {
         const entry = data[tag];
         if (!entry?.trinket) continue;
 
-        const condition = typeof entry.condition === "function" ? entry.condition(player) : true;
+        const condition = evaluateCondition(player, entry.condition) && canClassEquip(player, tag);
         if (!expectedTags.has(tag) || !condition) {
+            sendTrinketEvent(player, tag, false);
             player.removeTag(tag);
+            setTrinketAffixes(player, tag, undefined);
+            requestStatsUpdate(player);
         }
     }
 }
@@ -156,25 +188,47 @@ function getInvEntity(player) {
     })[0]
 }
 
+/**
+ * Returns the trinkets a player has equipped, indexed by slot.
+ *
+ * @param {Player} player
+ * @returns {Object<string, string>}
+ */
+export function getEquippedTrinkets(player) {
+    const equipped = {};
+    for (const tag of player.getTags()) {
+        const slot = data[tag]?.trinket;
+        if (slot) equipped[slot] = tag;
+    }
+    return equipped;
+}
+
+/**
+ * Checks whether a player may wear a trinket, ignoring what's already equipped.
+ *
+ * @param {Player} player
+ * @param {string} id Item type id.
+ * @returns {"not_trinket"|"condition"|"class"|undefined} Why it can't be equipped, if it can't.
+ */
+export function getTrinketEquipError(player, id) {
+    const entry = data[id];
+    if (!entry?.trinket) return "not_trinket";
+    if (!evaluateCondition(player, entry.condition)) return "condition";
+    if (!canClassEquip(player, id)) return "class";
+}
+
 function tryEquipTrinket(player, item) {
     const id = item?.typeId;
     if (!id || !data[id]) return;
 
     const entry = data[id];
     const slot = entry?.trinket;
-    if (!slot) return;
 
     // Si hay una condición y no se cumple, tratar como si el slot estuviera lleno
-    if (typeof entry.condition === "function" && !entry.condition(player)) {
-        // Cancelar equipamiento y devolver el ítem
-        const inv = player.getComponent('inventory')?.container;
-        if (inv?.emptySlotsCount > 0) {
-            inv.addItem(item);
-        } else {
-            player.dimension.spawnItem(item, player.location);
-        }
-        return;
-    }
+    // (el ítem solo se consume al final, así que sigue en la mano)
+    const error = getTrinketEquipError(player, id);
+    if (error === "class") player.sendMessage(statTexts.classes.restricted);
+    if (error) return;
 
     // Revisar si ya tiene un trinket en ese slot (por tag)
     const tags = player.getTags();
@@ -188,8 +242,11 @@ function tryEquipTrinket(player, item) {
 
     // Todo ok, se equipa
     player.addTag(id);
+    setTrinketAffixes(player, id, getItemAffixes(item));
     clearTrinketImmuneEffects(player, entry)
     player.changeItemAmount(player.selectedSlotIndex, -1)
+    requestStatsUpdate(player)
+    sendTrinketEvent(player, id, true)
 }
 
 /**
@@ -243,21 +300,93 @@ function clearTrinketImmuneEffects(player, entry) {
 
 
 function unequipAllTrinkets(player) {
-    const tags = player.getTags();
-    const inv = player.getComponent('inventory')?.container;
-    if (!inv) return;
+    for (const tag of player.getTags()) {
+        if (data[tag]?.trinket) unequipTrinket(player, tag);
+    }
+}
 
-    for (const tag of tags) {
-        const entry = data[tag];
-        if (!entry?.trinket) continue;
+/**
+ * Equips a trinket without consuming an item, ignoring its condition and class restrictions.
+ * A trinket already in the same slot is unequipped and returned to the player.
+ *
+ * @param {Player} player
+ * @param {string} id Registered trinket id.
+ * @param {Object} [affixes] Rolled affixes to store with the trinket.
+ * @returns {boolean} Whether the trinket was equipped.
+ */
+export function forceEquipTrinket(player, id, affixes) {
+    const slot = data[id]?.trinket;
+    if (!slot || player.hasTag(id)) return false;
+
+    for (const tag of player.getTags()) {
+        if (data[tag]?.trinket === slot) unequipTrinket(player, tag);
+    }
+
+    player.addTag(id);
+    setTrinketAffixes(player, id, affixes);
+    clearTrinketImmuneEffects(player, data[id]);
+    reloadInvEntity(player);
+    requestStatsUpdate(player);
+    sendTrinketEvent(player, id, true);
+    return true;
+}
+
+/**
+ * Unequips a trinket, optionally giving its item back to the player.
+ *
+ * @param {Player} player
+ * @param {string} id Trinket id.
+ * @param {boolean} [returnItem=true] Whether to give the item back.
+ * @returns {boolean} Whether the trinket was equipped.
+ */
+export function unequipTrinket(player, id, returnItem = true) {
+    if (!data[id]?.trinket || !player.hasTag(id)) return false;
 
-        const item = new ItemStack(tag);
-        if (inv.emptySlotsCount > 0) {
+    if (returnItem) {
+        const item = createTrinketStack(player, id);
+        const inv = player.getComponent('inventory')?.container;
+        if (inv && inv.emptySlotsCount > 0) {
             inv.addItem(item);
         } else {
             player.dimension.spawnItem(item, player.location);
         }
-
-        player.removeTag(tag);
     }
+
+    sendTrinketEvent(player, id, false);
+    player.removeTag(id);
+    setTrinketAffixes(player, id, undefined);
+    reloadInvEntity(player);
+    requestStatsUpdate(player);
+    return true;
+}
+
+/**
+ * Removes the open trinket inventory so it's rebuilt from the player's tags,
+ * otherwise slot validation would undo changes made outside of it.
+ *
+ * @param {Player} player
+ */
+function reloadInvEntity(player) {
+    const entity = getInvEntity(player);
+    if (entity?.isValid) entity.remove();
+}
+
+/**
+ * Tells other addons that a trinket was equipped or unequipped.
+ * Sends `dorios:trinket_equipped` or `dorios:trinket_unequipped` with
+ * { playerId, playerName, item, slot, affixes }.
+ * Must run while the trinket's affixes are still stored on the player.
+ *
+ * @param {Player} player
+ * @param {string} id Trinket type id.
+ * @param {boolean} equipped
+ */
+function sendTrinketEvent(player, id, equipped) {
+    system.sendScriptEvent(equipped ? "dorios:trinket_equipped" : "dorios:trinket_unequipped", JSON.stringify({
+        playerId: player.id,
+        playerName: player.name,
+        item: id,
+        slot: data[id]?.trinket,
+        affixes: getTrinketAffixes(player)[id] ?? null
+    }));
 }
\ No newline at end of file
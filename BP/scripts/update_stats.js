@@ -1,13 +1,50 @@
 import { system, world, ItemStack } from '@minecraft/server'
-import { updatePlayerStats, getStatCategory } from './stats_manager.js'
+import { requestStatsUpdate, getStatCategory, hasConditionalStats, hasRegisteredStats, applyMaxHealth, applyDamageResistance, clampHealth } from './stats_manager.js'
 import { trinketTick } from './trinkets_inv.js'
-import { manaBarFrames } from './config.js'
+import { data } from './config.js'
+import { manaTick } from './mana.js'
+import { healthRegenTick } from './health_regen.js'
+import { statTickHandlers } from './stat_definitions.js'
 
-const previousEquipmentMap = new Map();
 const intervalMap = new Map();
 
-world.afterEvents.playerSpawn.subscribe(e => { updateData(e.player); });
-world.afterEvents.playerHotbarSelectedSlotChange.subscribe(e => updatePlayerStats(e.player))
+/**
+ * Item ids in the equipment slots of each player on the last check, indexed by player id.
+ * @type {Map<string, (string|undefined)[]>}
+ */
+const equipmentSnapshots = new Map();
+
+/**
+ * Registered tags of each player on the last check, indexed by player id.
+ * @type {Map<string, string>}
+ */
+const tagSnapshots = new Map();
+
+world.afterEvents.playerSpawn.subscribe(e => {
+    updateData(e.player);
+    // Respawning resets vanilla attributes such as max health
+    requestStatsUpdate(e.player);
+});
+
+// Stats are recalculated from change signals instead of polling:
+// - Hotbar selection and inventory changes involving registered items
+//   (held items, armor moved in or out of the inventory).
+// - Equipment slots and registered tags compared every second, as a fallback for
+//   armor breaking, dispensers, commands and tags changed by other addons.
+// - Core APIs: trinkets, buffs, levels, classes and registrations request their own updates.
+world.afterEvents.playerHotbarSelectedSlotChange.subscribe(({ player, itemStack, previousSlotSelected }) => {
+    const previous = player.getComponent('inventory')?.container?.getItem(previousSlotSelected);
+    if (data[itemStack?.typeId] || data[previous?.typeId]) requestStatsUpdate(player);
+});
+
+world.afterEvents.playerInventoryItemChange.subscribe(({ player, itemStack, beforeItemStack }) => {
+    if (data[itemStack?.typeId] || data[beforeItemStack?.typeId]) requestStatsUpdate(player);
+});
+
+world.beforeEvents.playerLeave.subscribe(({ player }) => {
+    equipmentSnapshots.delete(player.id);
+    tagSnapshots.delete(player.id);
+});
 
 world.afterEvents.worldLoad.subscribe(() => {
     system.runTimeout(() => {
@@ -23,54 +60,16 @@ world.afterEvents.worldLoad.subscribe(() => {
 
 world.beforeEvents.effectAdd.subscribe(e => {
     const { effectType, entity } = e
-    if (entity.typeId != 'minecraft:player') return
+    if (!hasRegisteredStats(entity)) return
     const immunities = getStatCategory(entity, "immunities")
     immunities.forEach(effect => {
         if (effectType.includes(effect)) e.cancel = true
     })
 })
 
-/**
- * Converts equipment and tags into a single string for comparison.
- */
-function equipmentAndTagsString(player) {
-    const equipment = player.getEquipment();
-    const equipmentStr = ['Head', 'Chest', 'Legs', 'Feet', 'Mainhand', 'Offhand']
-        .map(slot => equipment?.[slot]?.typeId ?? 'none')
-        .join('|');
-
-    const tagsStr = player.getTags().join('|');
-
-    return `${equipmentStr}:${tagsStr}`;
-}
-
-function manaDisplay(manaScore, player, stats) {
-    let scoreId = player.scoreboardIdentity
-    if (scoreId != undefined) {
-        let mana = manaScore.getScore(scoreId);
-        if (mana < 0 || mana == NaN || mana == undefined) mana = 0
-        const maxMana = stats.mana;
-        const regen = Math.min(stats.manaRegen / 5, maxMana - mana)
-        mana += regen
-        manaScore.setScore(scoreId, mana || 0);
-        const percentage = mana / maxMana;
-        const frameIndex = Math.floor(percentage * (manaBarFrames.length - 1));
-        const bar = manaBarFrames[frameIndex];
-        try {
-            if (player.getGameMode() == 'Survival') {
-                player.onScreenDisplay.setActionBar(`                         ${bar}`);
-            }
-        } catch { return false }
-    } else {
-        player.runCommand('scoreboard players add @s dorios:mana 100')
-        world.getDimension('overworld').runCommand('scoreboard objectives add dorios:mana dummy Mana')
-    }
-}
-
 function updateData(player) {
     const id = player.id;
     if (intervalMap.has(id)) return
-    previousEquipmentMap.set(id, equipmentAndTagsString(player));
 
     let tick = 0;
 
@@ -81,33 +80,35 @@ function updateData(player) {
         // Trinket updates and extra jump logic
         trinketTick(player);
 
-        // Equipment or tag change detection every 20 ticks (1 second)
         if (tick % 20 === 0) {
-            const current = equipmentAndTagsString(player);
-            const previous = previousEquipmentMap.get(id);
-            if (current !== previous) {
-                previousEquipmentMap.set(id, current);
-                updatePlayerStats(player);
-            }
+            checkEquipmentChange(player);
+            checkTagChange(player);
+            // Conditions (time, weather, health...) change without any signal
+            if (hasConditionalStats(player)) requestStatsUpdate(player);
             applyPassiveEffects(player)
+            // Milk and effect clears remove the health boost and resistance
+            const current = getStatCategory(player, 'stats');
+            applyMaxHealth(player, current.health)
+            applyDamageResistance(player, current.damageReduction)
         }
 
         const stats = getStatCategory(player, 'stats');
 
+        // Custom stat tick handlers
+        for (const [statName, handler] of Object.entries(statTickHandlers)) {
+            if (tick % handler.interval !== 0) continue;
+            if (!(stats?.[statName] > 0)) continue;
+            handler.run(player, stats[statName]);
+        }
 
-        // Mana display and refill every 4 ticks (up to 5 times)
-        // if (tick % 4 == 0) {
-        //     if (stats) {
-        //         const manaScore = world.scoreboard.getObjective('dorios:mana');
-        //         manaDisplay(manaScore, player, stats);
+        // Vanilla healing can't go over the max health stat
+        clampHealth(player, stats?.health);
 
-        //         // Health regeneration
-        //         if (stats.healthRegen > 0) {
-        //             doriosAPI.entities.changeHealth(player, stats.healthRegen / 5);
-        //         }
-        //     }
-        // }
+        // Mana regeneration and bar
+        manaTick(player, stats, tick);
 
+        // Health regeneration, slowed down in combat
+        healthRegenTick(player, stats, tick);
 
         if (stats?.extraJumps > 0) {
             let jumps = player.getDynamicProperty('dorios:extraJumps') || 0;
@@ -130,6 +131,39 @@ function updateData(player) {
     intervalMap.set(id, interval);
 }
 
+/**
+ * Requests a stats update when a registered item enters or leaves an
+ * equipment slot, which the inventory events don't report for armor and offhand.
+ *
+ * @param {Player} player
+ */
+function checkEquipmentChange(player) {
+    const equippable = player.getComponent('equippable');
+    if (!equippable) return;
+
+    const current = Object.values(DoriosAPI.constants.equipmentSlots).map(slot => equippable.getEquipment(slot)?.typeId);
+    const previous = equipmentSnapshots.get(player.id);
+    equipmentSnapshots.set(player.id, current);
+    if (!previous) return;
+
+    if (current.some((typeId, i) => typeId !== previous[i] && (data[typeId] || data[previous[i]]))) {
+        requestStatsUpdate(player);
+    }
+}
+
+/**
+ * Requests a stats update when the player gains or loses a registered tag.
+ *
+ * @param {Player} player
+ */
+function checkTagChange(player) {
+    const current = player.getTags().filter(tag => data[tag]).sort().join(",");
+    const previous = tagSnapshots.get(player.id);
+    tagSnapshots.set(player.id, current);
+
+    if (previous !== undefined && current !== previous) requestStatsUpdate(player);
+}
+
 /**
  * Applies all passive status effects to a player based on their passive stats.
  * Effects are refreshed periodically with a short duration to ensure persistence.